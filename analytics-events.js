@@ -0,0 +1,212 @@
+/**
+ * Analytics Events
+ * The one event format shared by every page: the registry of event names and their property types,
+ * runtime validation, the schema version and the context fields added to every event.
+ * Load before script.js; AnalyticsHandler builds every event here, including those from contact.js.
+ */
+
+// ===== EVENT SCHEMA =====
+const ANALYTICS_SCHEMA = {
+  // Bump when an event is renamed or removed, or a property changes type or becomes required
+  VERSION: 1,
+
+  // Malformed events are dropped with a warning on these hosts and in debug mode (?debug=1)
+  DEVELOPMENT_HOSTS: ["localhost", "127.0.0.1", ""],
+  DEBUG_STORAGE_KEY: "familyhub_debug",
+
+  // Free-text query parameters (help search) are removed from URLs before they are sent
+  REDACTED_URL_PARAMS: ["q"],
+
+  // Property types: "string", "number", "boolean", "array" or "object". A trailing "?" marks an optional property.
+  EVENTS: {
+    // Landing page and site-wide
+    cta_clicked: { button_text: "string", section: "string" },
+    feature_card_clicked: { feature_name: "string" },
+    scroll_depth_reached: { percentage: "number" },
+    page_performance: { load_time: "number", dom_ready: "number" },
+    newsletter_subscribe_requested: { source: "string", status: "string" },
+    element_impression: { element_type: "string", element_name: "string", position: "number" },
+    element_dwell: {
+      element_type: "string",
+      element_name: "string",
+      position: "number",
+      visible_ms: "number",
+      impressed: "boolean",
+    },
+    experiment_exposure: { experiment_id: "string", variant_id: "string", forced: "boolean" },
+
+    // Contact page
+    contact_page_loaded: {},
+    contact_form_started: {},
+    contact_form_submitted: { success: "boolean", error_count: "number", errors: "array" },
+    contact_form_field_validated: { field: "string", valid: "boolean", rule: "string?" },
+    contact_form_funnel: {
+      outcome: "string",
+      duration_ms: "number",
+      submit_attempts: "number",
+      last_field: "string?",
+      fields_touched: "number",
+      error_count: "number",
+      re_edit_count: "number",
+      focus_order: "array",
+      fields: "array",
+      errors: "array",
+    },
+    contact_form_subject_selected: { subject: "string" },
+    contact_form_subject_details: {
+      subject: "string",
+      device: "string?",
+      os: "string?",
+      app_version: "string?",
+      request_type: "string?",
+    },
+    contact_form_blocked: { reason: "string" },
+    contact_form_submitted_after_suggestions: { suggestions_seen: "number", suggestions_clicked: "number" },
+    help_suggestions_shown: { trigger: "string", suggestion_ids: "array", subject: "string?" },
+    help_suggestion_clicked: { suggestion_id: "string", suggestion_type: "string", position: "number" },
+
+    // Help center
+    help_page_loaded: {},
+    help_search_performed: {
+      query: "string",
+      query_length: "number",
+      result_count: "number",
+      zero_results: "boolean",
+      source: "string",
+    },
+    help_search_result_clicked: {
+      query: "string",
+      result_id: "string",
+      result_type: "string",
+      position: "number",
+      time_to_click_ms: "number",
+      source: "string",
+    },
+    help_category_filtered: { category: "string" },
+    help_article_viewed: { article_id: "string", category: "string" },
+    help_article_load_failed: { article_id: "string", category: "string" },
+    faq_opened: { faq_id: "string" },
+    faq_expanded_all: {},
+    faq_collapsed_all: {},
+    faq_deep_link_opened: { faq_id: "string" },
+    faq_link_copied: { faq_id: "string" },
+    faq_vote: { faq_id: "string", helpful: "boolean" },
+    faq_feedback: { faq_id: "string", helpful: "boolean", feedback: "string" },
+  },
+}
+
+// ===== VALIDATION =====
+
+/**
+ * List what is wrong with an event: unknown name, missing or mistyped properties, or properties
+ * the schema doesn't declare. An empty list means the event is valid.
+ */
+function validateAnalyticsEvent(name, properties = {}) {
+  const schema = ANALYTICS_SCHEMA.EVENTS[name]
+  if (!schema) return [`unknown event "${name}"`]
+
+  const errors = []
+
+  Object.entries(schema).forEach(([key, type]) => {
+    const isOptional = type.endsWith("?")
+    const expected = type.replace("?", "")
+    const value = properties[key]
+
+    if (value === undefined || value === null) {
+      if (!isOptional) errors.push(`missing "${key}"`)
+      return
+    }
+
+    const actual = Array.isArray(value) ? "array" : typeof value
+    if (actual !== expected || (actual === "number" && !Number.isFinite(value))) {
+      errors.push(`"${key}" should be ${expected}, got ${actual === "number" ? value : actual}`)
+    }
+  })
+
+  Object.keys(properties)
+    .filter((key) => !(key in schema))
+    .forEach((key) => errors.push(`unexpected "${key}"`))
+
+  return errors
+}
+
+function isAnalyticsDevelopment() {
+  if (window.location.protocol === "file:" || ANALYTICS_SCHEMA.DEVELOPMENT_HOSTS.includes(window.location.hostname)) {
+    return true
+  }
+
+  try {
+    return localStorage.getItem(ANALYTICS_SCHEMA.DEBUG_STORAGE_KEY) === "true"
+  } catch (error) {
+    return false
+  }
+}
+
+// ===== EVENT BUILDER =====
+
+/**
+ * A URL without the parameters in REDACTED_URL_PARAMS, or "" if it isn't a valid URL
+ */
+function redactAnalyticsUrl(href) {
+  try {
+    const url = new URL(href)
+    ANALYTICS_SCHEMA.REDACTED_URL_PARAMS.forEach((param) => url.searchParams.delete(param))
+    return url.href
+  } catch (error) {
+    return ""
+  }
+}
+
+/**
+ * Context fields every event carries, whichever page or component sent it
+ */
+function getAnalyticsContext() {
+  return {
+    page_path: window.location.pathname,
+    page_url: redactAnalyticsUrl(window.location.href),
+    page_title: document.title,
+    language: navigator.language,
+    device_type: getDeviceType(),
+    user_agent: navigator.userAgent,
+    screen_resolution: `${screen.width}x${screen.height}`,
+    viewport_size: `${window.innerWidth}x${window.innerHeight}`,
+  }
+}
+
+/**
+ * Build `{ name, schema_version, timestamp, context, properties }`. `context` adds to the standard
+ * context fields (the session, for example). A malformed event is dropped (null) in development;
+ * in production it is kept and flagged with `schema_errors`, so nothing is lost silently.
+ */
+function createAnalyticsEvent(name, properties = {}, context = {}) {
+  const event = {
+    name,
+    schema_version: ANALYTICS_SCHEMA.VERSION,
+    timestamp: Date.now(),
+    context: { ...getAnalyticsContext(), ...context },
+    properties,
+  }
+
+  const errors = validateAnalyticsEvent(name, properties)
+  if (errors.length === 0) return event
+
+  if (isAnalyticsDevelopment()) {
+    console.warn(`Dropped malformed analytics event "${name}":`, errors)
+    return null
+  }
+
+  event.schema_errors = errors
+  return event
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    ANALYTICS_SCHEMA,
+    validateAnalyticsEvent,
+    isAnalyticsDevelopment,
+    redactAnalyticsUrl,
+    getAnalyticsContext,
+    createAnalyticsEvent,
+  }
+}
@@ -9,8 +9,23 @@ const CONTACT_CONFIG = {
   VALIDATION_DELAY: 300,
   SUBMISSION_TIMEOUT: 10000,
 
+  // Retry settings for transient submission failures
+  MAX_SUBMIT_RETRIES: 2,
+  RETRY_BASE_DELAY: 1000,
+  MAX_RETRY_DELAY: 8000,
+
   // API endpoints (replace with actual endpoints)
   FORM_SUBMIT_URL: "/api/contact",
+  TICKET_STATUS_URL: "/api/contact/status",
+
+  // Ticket references
+  RECENT_TICKETS_STORAGE_KEY: "familyhub_recent_tickets",
+  MAX_RECENT_TICKETS: 5,
+  TICKET_REFERENCE_PATTERN: /^[A-Z]{2,4}-?[A-Z0-9]{4,12}$/i,
+
+  // Offline outbox settings
+  OUTBOX_STORAGE_KEY: "familyhub_contact_outbox",
+  OUTBOX_MAX_ITEMS: 20,
 
   // Validation patterns
   EMAIL_PATTERN: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
@@ -20,12 +35,91 @@ const CONTACT_CONFIG = {
   MIN_MESSAGE_LENGTH: 10,
   MAX_MESSAGE_LENGTH: 1000,
 
+  // Draft autosave settings
+  DRAFT_STORAGE_KEY: "familyhub_contact_draft",
+  DRAFT_SAVE_DELAY: 500,
+  DRAFT_MAX_AGE: 7 * 24 * 60 * 60 * 1000,
+
+  // Spam protection settings
+  SPAM_PROTECTION: {
+    HONEYPOT_FIELD: "website",
+    MIN_FILL_TIME: 3000,
+    RATE_LIMIT_MAX: 3,
+    RATE_LIMIT_WINDOW: 10 * 60 * 1000,
+    RATE_LIMIT_STORAGE_KEY: "familyhub_contact_submissions",
+    POW_DIFFICULTY: 14, // leading zero bits, ~16k hashes on average
+  },
+
+  // Help-article suggestions shown while writing a message
+  DEFLECTION: {
+    DELAY: 500,
+    MIN_MESSAGE_LENGTH: 12,
+    MAX_SUGGESTIONS: 3,
+    MIN_SCORE: 3,
+    // Extra search terms implied by each subject
+    SUBJECT_KEYWORDS: {
+      technical: ["sync", "offline", "devices", "notifications"],
+      billing: ["cost", "plan", "pricing", "subscription"],
+      bug: ["devices", "offline", "sync"],
+      privacy: ["privacy", "secure", "data", "export", "backup"],
+    },
+    STOP_WORDS: [
+      "the", "and", "for", "with", "that", "this", "have", "has", "was", "are", "but", "not", "you", "your",
+      "can", "how", "what", "when", "why", "does", "don't", "cant", "can't", "from", "into", "there", "them",
+      "they", "just", "would", "could", "should", "please", "hello", "thanks", "thank", "help", "familyhub", "app",
+    ],
+  },
+
+  // Help search typeahead
+  SEARCH: {
+    SUGGESTION_DELAY: 150,
+    MAX_SUGGESTIONS: 8,
+    RECENT_SEARCHES_STORAGE_KEY: "familyhub_recent_searches",
+    MAX_RECENT_SEARCHES: 5,
+    // Local search log behind the debug-mode insights report
+    ANALYTICS_STORAGE_KEY: "familyhub_search_analytics",
+    MAX_TRACKED_SEARCHES: 200,
+    INSIGHTS_TOP_QUERIES: 10,
+  },
+
+  // Field-level funnel of the contact form; a local log of sessions backs the debug-mode report
+  FUNNEL: {
+    STORAGE_KEY: "familyhub_contact_funnel",
+    MAX_TRACKED_SESSIONS: 100,
+  },
+
+  // Debug tools, switched on with ?debug=1 and off again with ?debug=0
+  DEBUG: {
+    PARAM: "debug",
+    STORAGE_KEY: "familyhub_debug",
+  },
+
+  // Attachment limits
+  ATTACHMENTS: {
+    MAX_FILES: 5,
+    MAX_FILE_SIZE: 5 * 1024 * 1024,
+    MAX_TOTAL_SIZE: 15 * 1024 * 1024,
+    ACCEPTED_TYPES: ["image/png", "image/jpeg", "image/gif", "image/webp", "application/pdf", "text/plain"],
+  },
+
   // Response messages
   MESSAGES: {
     SUCCESS: "Thank you for your message! We'll get back to you within 24 hours.",
+    SUCCESS_WITH_REFERENCE: "Thank you for your message! Your reference is {reference}. We'll get back to you within 24 hours.",
+    TICKET_NOT_FOUND: "We couldn't find a request with that reference and email address.",
+    TICKET_LOOKUP_ERROR: "We couldn't check your request right now. Please try again later.",
     ERROR: "Sorry, there was an error sending your message. Please try again.",
     VALIDATION_ERROR: "Please fix the errors below and try again.",
     NETWORK_ERROR: "Network error. Please check your connection and try again.",
+    TIMEOUT_ERROR: "The request timed out. Please check your connection and try again.",
+    SERVER_ERROR: "Our servers are having trouble right now. Please try again in a few minutes.",
+    RATE_LIMITED: "You've sent several messages in a short time. Please wait a moment and try again.",
+    QUEUED: "You're offline. Your message is queued and will send when you're back online.",
+    TOO_FAST: "That was quick! Please take a moment to review your message, then send it again.",
+    SUBMISSION_LIMIT: "You've sent several messages recently. Please try again in {minutes} minutes.",
+    BLOCKED: "Your message could not be sent. Please email us at support@familyhub.com instead.",
+    OUTBOX_SENT: "Your queued message has been sent. We'll get back to you within 24 hours.",
+    OUTBOX_REJECTED: "One of your queued messages could not be delivered. Please send it again.",
   },
 }
 
@@ -144,427 +238,3045 @@ function showNotification(message, type = "info") {
   })
 }
 
-// ===== FORM VALIDATION CLASS =====
-class ContactFormValidator {
-  constructor() {
-    this.errors = new Map()
-    this.isValid = true
+/**
+ * Replace email addresses and phone numbers in free text before it goes to analytics
+ */
+function stripPii(text) {
+  return String(text)
+    .replace(/[^\s@]+@[^\s@]+\.[^\s@]+/g, "[email]")
+    .replace(/\+?\d[\d\s().-]{5,}\d/g, "[phone]")
+}
+
+/**
+ * Whether debug tools are enabled. `?debug=1` turns them on for this browser until `?debug=0`.
+ */
+function isDebugMode() {
+  const { PARAM, STORAGE_KEY } = CONTACT_CONFIG.DEBUG
+  const value = new URLSearchParams(window.location.search).get(PARAM)
+
+  try {
+    if (value === "1") localStorage.setItem(STORAGE_KEY, "true")
+    if (value === "0") localStorage.removeItem(STORAGE_KEY)
+    return localStorage.getItem(STORAGE_KEY) === "true"
+  } catch (error) {
+    return value === "1"
   }
+}
 
-  /**
-   * Validate required field
-   */
-  validateRequired(field, value, fieldName) {
-    if (!value || value.trim() === "") {
-      this.addError(field, `${fieldName} is required`)
-      return false
-    }
-    this.removeError(field)
-    return true
+/**
+ * Generate a unique id, used as the idempotency key for submissions
+ */
+function generateId() {
+  if (window.crypto && typeof window.crypto.randomUUID === "function") {
+    return window.crypto.randomUUID()
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+}
+
+/**
+ * Format a byte count for display
+ */
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+/**
+ * Send a request with XMLHttpRequest so upload progress can be reported.
+ * Resolves with a fetch-style Response and rejects like fetch does.
+ */
+function requestWithProgress(url, { method = "POST", body, headers = {}, signal, onUploadProgress }) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest()
+    xhr.open(method, url)
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value))
+
+    xhr.upload.addEventListener("progress", (e) => {
+      if (e.lengthComputable && onUploadProgress) {
+        onUploadProgress(Math.round((e.loaded / e.total) * 100))
+      }
+    })
+
+    xhr.addEventListener("load", () => {
+      const responseHeaders = new Headers()
+      xhr
+        .getAllResponseHeaders()
+        .trim()
+        .split(/[\r\n]+/)
+        .forEach((line) => {
+          const index = line.indexOf(":")
+          if (index > 0) responseHeaders.append(line.slice(0, index).trim(), line.slice(index + 1).trim())
+        })
+
+      const hasBody = ![204, 205, 304].includes(xhr.status)
+      resolve(new Response(hasBody ? xhr.responseText : null, { status: xhr.status, headers: responseHeaders }))
+    })
+    xhr.addEventListener("error", () => reject(new TypeError("Network request failed")))
+    xhr.addEventListener("abort", () => reject(new DOMException("The request was aborted", "AbortError")))
+
+    signal?.addEventListener("abort", () => xhr.abort())
+    xhr.send(body)
+  })
+}
+
+/**
+ * Wait for the given number of milliseconds
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+// ===== SUBMISSION ERRORS =====
+
+/**
+ * Error raised when a form submission fails.
+ * `type` is one of: network, timeout, client, server, rate_limit
+ */
+class SubmissionError extends Error {
+  constructor(type, message, { status = null, fieldErrors = [], retryAfter = null } = {}) {
+    super(message)
+    this.name = "SubmissionError"
+    this.type = type
+    this.status = status
+    this.fieldErrors = fieldErrors
+    this.retryAfter = retryAfter
   }
 
   /**
-   * Validate email format
+   * Network hiccups, timeouts, 5xx and 429 responses are worth retrying
    */
-  validateEmail(field, email) {
-    if (!email) return false
+  get isTransient() {
+    return ["network", "timeout", "server", "rate_limit"].includes(this.type)
+  }
+}
+
+// ===== OFFLINE OUTBOX =====
 
-    if (!CONTACT_CONFIG.EMAIL_PATTERN.test(email)) {
-      this.addError(field, "Please enter a valid email address")
+/**
+ * Persistent queue of contact submissions that could not be sent.
+ * Entries are keyed by their idempotency key, so the same submission is never stored twice.
+ */
+class ContactOutbox {
+  constructor(storageKey = CONTACT_CONFIG.OUTBOX_STORAGE_KEY) {
+    this.storageKey = storageKey
+  }
+
+  getAll() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey))
+      return Array.isArray(stored) ? stored : []
+    } catch (error) {
+      console.warn("Unable to read contact outbox:", error)
+      return []
+    }
+  }
+
+  save(entries) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(entries))
+      return true
+    } catch (error) {
+      console.warn("Unable to save contact outbox:", error)
       return false
     }
-    this.removeError(field)
-    return true
   }
 
   /**
-   * Validate message length
+   * Queue a submission. Returns false if it could not be persisted or the outbox is full.
    */
-  validateMessage(field, message) {
-    if (!message) return false
+  add(idempotencyKey, formData) {
+    const entries = this.getAll()
+    if (entries.some((entry) => entry.id === idempotencyKey)) return true
 
-    if (message.length < CONTACT_CONFIG.MIN_MESSAGE_LENGTH) {
-      this.addError(field, `Message must be at least ${CONTACT_CONFIG.MIN_MESSAGE_LENGTH} characters`)
-      return false
-    }
+    // Never drop an older queued message to make room
+    if (entries.length >= CONTACT_CONFIG.OUTBOX_MAX_ITEMS) return false
 
-    if (message.length > CONTACT_CONFIG.MAX_MESSAGE_LENGTH) {
-      this.addError(field, `Message must be less than ${CONTACT_CONFIG.MAX_MESSAGE_LENGTH} characters`)
-      return false
-    }
+    // Files cannot be persisted to local storage, so only text fields are queued
+    const fields = Array.from(formData.entries()).filter(([, value]) => typeof value === "string")
 
-    this.removeError(field)
-    return true
+    entries.push({ id: idempotencyKey, fields, createdAt: Date.now() })
+    return this.save(entries)
+  }
+
+  remove(idempotencyKey) {
+    this.save(this.getAll().filter((entry) => entry.id !== idempotencyKey))
+  }
+
+  count() {
+    return this.getAll().length
   }
 
   /**
-   * Add validation error
+   * Rebuild the FormData for a queued entry
    */
-  addError(field, message) {
-    this.errors.set(field.name, message)
-    this.isValid = false
+  toFormData(entry) {
+    const formData = new FormData()
+    entry.fields.forEach(([name, value]) => formData.append(name, value))
+    return formData
+  }
+}
 
-    // Update UI
-    const formGroup = field.closest(".form-group")
-    const errorElement = formGroup.querySelector(".error-message")
+// ===== SPAM PROTECTION =====
 
-    formGroup.classList.add("error")
-    formGroup.classList.remove("success")
-    field.setAttribute("aria-invalid", "true")
+/**
+ * Layered client-side abuse checks: honeypot field, minimum time-to-fill,
+ * per-browser rate limiting and a proof-of-work token attached to the payload.
+ * `check` reports the reason a submission was rejected so it can be shown and tracked.
+ */
+class SpamGuard {
+  constructor(settings = CONTACT_CONFIG.SPAM_PROTECTION) {
+    this.settings = settings
+    this.startedAt = Date.now()
+  }
 
-    if (errorElement) {
-      errorElement.textContent = message
-      errorElement.setAttribute("aria-live", "polite")
-    }
+  /**
+   * Restart the time-to-fill clock, e.g. after the form is reset
+   */
+  reset() {
+    this.startedAt = Date.now()
   }
 
   /**
-   * Remove validation error
+   * Returns `{ allowed: true }` or `{ allowed: false, reason, message }`
    */
-  removeError(field) {
-    this.errors.delete(field.name)
+  check(formData) {
+    if (formData.get(this.settings.HONEYPOT_FIELD)) {
+      return { allowed: false, reason: "honeypot", message: CONTACT_CONFIG.MESSAGES.BLOCKED }
+    }
 
-    // Update UI
-    const formGroup = field.closest(".form-group")
-    const errorElement = formGroup.querySelector(".error-message")
+    if (Date.now() - this.startedAt < this.settings.MIN_FILL_TIME) {
+      return { allowed: false, reason: "too_fast", message: CONTACT_CONFIG.MESSAGES.TOO_FAST }
+    }
 
-    formGroup.classList.remove("error")
-    formGroup.classList.add("success")
-    field.setAttribute("aria-invalid", "false")
+    const recent = this.getRecentSubmissions()
+    if (recent.length >= this.settings.RATE_LIMIT_MAX) {
+      const waitMs = recent[0] + this.settings.RATE_LIMIT_WINDOW - Date.now()
+      const minutes = Math.max(1, Math.ceil(waitMs / 60000))
+      return {
+        allowed: false,
+        reason: "rate_limited",
+        message: CONTACT_CONFIG.MESSAGES.SUBMISSION_LIMIT.replace("{minutes}", minutes),
+      }
+    }
 
-    if (errorElement) {
-      errorElement.textContent = ""
+    return { allowed: true }
+  }
+
+  getRecentSubmissions() {
+    const cutoff = Date.now() - this.settings.RATE_LIMIT_WINDOW
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.settings.RATE_LIMIT_STORAGE_KEY))
+      return Array.isArray(stored) ? stored.filter((time) => time > cutoff).sort((a, b) => a - b) : []
+    } catch (error) {
+      return []
+    }
+  }
+
+  recordSubmission() {
+    const submissions = [...this.getRecentSubmissions(), Date.now()]
+
+    try {
+      localStorage.setItem(this.settings.RATE_LIMIT_STORAGE_KEY, JSON.stringify(submissions))
+    } catch (error) {
+      console.warn("Unable to record contact submission:", error)
     }
   }
 
   /**
-   * Validate entire form
+   * Find a nonce so that SHA-256(challenge:nonce) starts with `difficulty` zero bits
    */
-  validateForm(formData) {
-    this.errors.clear()
-    this.isValid = true
+  async solveProofOfWork(challenge, difficulty = this.settings.POW_DIFFICULTY) {
+    if (!window.crypto?.subtle || typeof TextEncoder === "undefined") return null
 
-    const nameField = document.getElementById("name")
-    const emailField = document.getElementById("email")
-    const subjectField = document.getElementById("subject")
-    const messageField = document.getElementById("message")
+    const encoder = new TextEncoder()
 
-    // Validate each field
-    this.validateRequired(nameField, formData.get("name"), "Name")
-    this.validateRequired(emailField, formData.get("email"), "Email") &&
-      this.validateEmail(emailField, formData.get("email"))
-    this.validateRequired(subjectField, formData.get("subject"), "Subject")
-    this.validateRequired(messageField, formData.get("message"), "Message") &&
-      this.validateMessage(messageField, formData.get("message"))
+    for (let nonce = 0; ; nonce++) {
+      const digest = await window.crypto.subtle.digest("SHA-256", encoder.encode(`${challenge}:${nonce}`))
+      if (SpamGuard.hasLeadingZeroBits(new Uint8Array(digest), difficulty)) {
+        return nonce
+      }
 
-    return this.isValid
+      // Let the page repaint now and then so the "Sending..." state stays responsive
+      if (nonce % 1000 === 999) {
+        await sleep(0)
+      }
+    }
+  }
+
+  static hasLeadingZeroBits(bytes, bits) {
+    const fullBytes = Math.floor(bits / 8)
+    for (let i = 0; i < fullBytes; i++) {
+      if (bytes[i] !== 0) return false
+    }
+
+    const remainingBits = bits % 8
+    return remainingBits === 0 || bytes[fullBytes] >> (8 - remainingBits) === 0
   }
 
   /**
-   * Get all validation errors
+   * Attach a proof-of-work token bound to this submission's idempotency key
    */
-  getErrors() {
-    return Array.from(this.errors.entries())
+  async attachProofOfWork(formData, idempotencyKey) {
+    const challenge = `${idempotencyKey}:${Date.now()}`
+    const nonce = await this.solveProofOfWork(challenge)
+    if (nonce === null) return
+
+    formData.set("pow_challenge", challenge)
+    formData.set("pow_difficulty", String(this.settings.POW_DIFFICULTY))
+    formData.set("pow_nonce", String(nonce))
   }
 }
 
-// ===== CONTACT FORM HANDLER CLASS =====
-class ContactFormHandler {
-  constructor() {
-    this.form = document.querySelector(".contact-form")
-    this.submitButton = this.form?.querySelector('button[type="submit"]')
-    this.validator = new ContactFormValidator()
-    this.isSubmitting = false
-
-    this.init()
-  }
+// ===== ATTACHMENTS =====
 
-  init() {
-    if (!this.form) {
-      console.warn("Contact form not found")
-      return
-    }
+/**
+ * File attachments with drag-and-drop, type/size limits and image thumbnails.
+ * Errors are shown through the form's ContactFormValidator.
+ */
+class AttachmentManager {
+  constructor(input, validator) {
+    this.input = input
+    this.validator = validator
+    this.formGroup = input.closest(".form-group")
+    this.dropzone = this.formGroup.querySelector(".attachment-dropzone")
+    this.list = this.formGroup.querySelector(".attachment-list")
+    this.files = []
+    this.previewUrls = new Map()
 
     this.bindEvents()
-    this.setupRealTimeValidation()
   }
 
   bindEvents() {
-    // Form submission
-    this.form.addEventListener("submit", (e) => {
-      e.preventDefault()
-      this.handleSubmit()
+    this.input.addEventListener("change", () => {
+      this.addFiles(this.input.files)
+      // Reset so the same file can be picked again after being removed
+      this.input.value = ""
     })
 
-    // Real-time validation on blur
-    const fields = this.form.querySelectorAll("input, select, textarea")
-    fields.forEach((field) => {
-      field.addEventListener("blur", () => {
-        this.validateField(field)
+    if (!this.dropzone) return
+
+    ;["dragenter", "dragover"].forEach((type) => {
+      this.dropzone.addEventListener(type, (e) => {
+        e.preventDefault()
+        if (!this.isDisabled()) this.dropzone.classList.add("dragging")
       })
     })
+    ;["dragleave", "drop"].forEach((type) => {
+      this.dropzone.addEventListener(type, () => this.dropzone.classList.remove("dragging"))
+    })
 
-    // Character counter for message field
-    const messageField = document.getElementById("message")
-    if (messageField) {
-      this.setupCharacterCounter(messageField)
-    }
-  }
-
-  setupRealTimeValidation() {
-    const debouncedValidation = debounce((field) => {
-      this.validateField(field)
-    }, CONTACT_CONFIG.VALIDATION_DELAY)
-
-    const fields = this.form.querySelectorAll("input, select, textarea")
-    fields.forEach((field) => {
-      field.addEventListener("input", () => {
-        debouncedValidation(field)
-      })
+    this.dropzone.addEventListener("drop", (e) => {
+      e.preventDefault()
+      if (!this.isDisabled() && e.dataTransfer?.files) {
+        this.addFiles(e.dataTransfer.files)
+      }
     })
   }
 
-  setupCharacterCounter(messageField) {
-    const formGroup = messageField.closest(".form-group")
+  isDisabled() {
+    return this.input.matches(":disabled")
+  }
 
-    // Create character counter
-    const counter = document.createElement("div")
-    counter.className = "character-counter"
-    counter.style.cssText = `
-      text-align: right;
-      font-size: 0.875rem;
-      color: #6c757d;
-      margin-top: 4px;
-    `
+  /**
+   * Returns an error message if the file can't be attached, or null
+   */
+  checkFile(file, pending) {
+    const limits = CONTACT_CONFIG.ATTACHMENTS
 
-    formGroup.appendChild(counter)
+    if (!limits.ACCEPTED_TYPES.includes(file.type)) {
+      return `"${file.name}" is not a supported file type`
+    }
+    if (file.size > limits.MAX_FILE_SIZE) {
+      return `"${file.name}" is larger than ${formatFileSize(limits.MAX_FILE_SIZE)}`
+    }
+    if (pending.length >= limits.MAX_FILES) {
+      return `You can attach up to ${limits.MAX_FILES} files`
+    }
+    if (this.getTotalSize(pending) + file.size > limits.MAX_TOTAL_SIZE) {
+      return `Attachments can't exceed ${formatFileSize(limits.MAX_TOTAL_SIZE)} in total`
+    }
+    return null
+  }
 
-    const updateCounter = () => {
-      const length = messageField.value.length
-      const remaining = CONTACT_CONFIG.MAX_MESSAGE_LENGTH - length
+  addFiles(fileList) {
+    const files = [...this.files]
+    let error = null
+
+    Array.from(fileList).forEach((file) => {
+      const isDuplicate = files.some(
+        (existing) =>
+          existing.name === file.name && existing.size === file.size && existing.lastModified === file.lastModified,
+      )
+      if (isDuplicate) return
+
+      const message = this.checkFile(file, files)
+      if (message) {
+        error = error || message
+        return
+      }
+      files.push(file)
+    })
 
-      counter.textContent = `${length}/${CONTACT_CONFIG.MAX_MESSAGE_LENGTH} characters`
+    this.files = files
+    this.render()
 
-      if (remaining < 50) {
-        counter.style.color = "#dc3545"
-      } else if (remaining < 100) {
-        counter.style.color = "#ffc107"
-      } else {
-        counter.style.color = "#6c757d"
-      }
+    if (error) {
+      this.validator.addError(this.input, error, "attachment")
+    } else {
+      this.validator.removeError(this.input)
     }
-
-    messageField.addEventListener("input", updateCounter)
-    updateCounter() // Initial count
   }
 
-  validateField(field) {
-    const value = field.value.trim()
+  removeFile(index) {
+    const [file] = this.files.splice(index, 1)
+    this.revokePreview(file)
+    this.render()
+    this.validator.removeError(this.input)
 
-    switch (field.name) {
-      case "name":
-        this.validator.validateRequired(field, value, "Name")
-        break
-      case "email":
-        this.validator.validateRequired(field, value, "Email") && this.validator.validateEmail(field, value)
-        break
-      case "subject":
-        this.validator.validateRequired(field, value, "Subject")
-        break
-      case "message":
-        this.validator.validateRequired(field, value, "Message") && this.validator.validateMessage(field, value)
-        break
-    }
+    // Keep focus in the widget after the button disappears
+    const nextButton = this.list.querySelectorAll(".attachment-remove")[Math.min(index, this.files.length - 1)]
+    ;(nextButton || this.input).focus()
   }
 
-  async handleSubmit() {
-    if (this.isSubmitting) return
+  clear() {
+    this.files.forEach((file) => this.revokePreview(file))
+    this.files = []
+    this.render()
+  }
 
-    const formData = new FormData(this.form)
+  getTotalSize(files = this.files) {
+    return files.reduce((total, file) => total + file.size, 0)
+  }
 
-    // Validate form
-    if (!this.validator.validateForm(formData)) {
-      showNotification(CONTACT_CONFIG.MESSAGES.VALIDATION_ERROR, "error")
-      this.focusFirstError()
-      return
+  getPreviewUrl(file) {
+    if (!file.type.startsWith("image/")) return null
+    if (!this.previewUrls.has(file)) {
+      this.previewUrls.set(file, URL.createObjectURL(file))
     }
+    return this.previewUrls.get(file)
+  }
 
-    this.setSubmittingState(true)
+  revokePreview(file) {
+    const url = this.previewUrls.get(file)
+    if (url) {
+      URL.revokeObjectURL(url)
+      this.previewUrls.delete(file)
+    }
+  }
 
-    try {
-      // Simulate API call (replace with actual endpoint)
-      const response = await this.submitForm(formData)
+  render() {
+    this.list.innerHTML = ""
+
+    this.files.forEach((file, index) => {
+      const item = document.createElement("li")
+      item.className = "attachment-item"
+
+      const previewUrl = this.getPreviewUrl(file)
+      const preview = previewUrl
+        ? `<img src="${previewUrl}" alt="" class="attachment-thumbnail">`
+        : `<span class="attachment-thumbnail attachment-file-icon" aria-hidden="true">📄</span>`
+
+      item.innerHTML = `
+        ${preview}
+        <span class="attachment-details">
+          <span class="attachment-name">${sanitizeInput(file.name)}</span>
+          <span class="attachment-size">${formatFileSize(file.size)}</span>
+        </span>
+        <button type="button" class="attachment-remove">&times;</button>
+      `
+
+      // Set as an attribute, not through the markup, so quotes in the file name can't end it
+      const removeButton = item.querySelector(".attachment-remove")
+      removeButton.setAttribute("aria-label", `Remove ${file.name}`)
+      removeButton.addEventListener("click", () => this.removeFile(index))
+      this.list.appendChild(item)
+    })
+  }
 
-      if (response.success) {
-        this.handleSuccess()
-      } else {
-        this.handleError(response.message || CONTACT_CONFIG.MESSAGES.ERROR)
+  /**
+   * Re-check the current files against the limits, e.g. before submitting
+   */
+  validate() {
+    if (this.isDisabled()) return true
+
+    const accepted = []
+    for (const file of this.files) {
+      const message = this.checkFile(file, accepted)
+      if (message) {
+        this.validator.addError(this.input, message, "attachment")
+        return false
+      }
+      accepted.push(file)
+    }
+
+    this.validator.removeError(this.input)
+    return true
+  }
+
+  /**
+   * Replace whatever the native input put into the FormData with the managed files
+   */
+  appendTo(formData) {
+    formData.delete(this.input.name)
+    if (this.isDisabled()) return
+
+    this.files.forEach((file) => formData.append(this.input.name, file, file.name))
+  }
+
+  hasFiles() {
+    return !this.isDisabled() && this.files.length > 0
+  }
+}
+
+// ===== DRAFT AUTOSAVE =====
+
+/**
+ * Autosaves form values to local storage as the user types and offers to restore them on return.
+ * Sensitive fields, files and the spam honeypot are never saved.
+ */
+class FormDraftManager {
+  constructor(form, { storageKey = CONTACT_CONFIG.DRAFT_STORAGE_KEY, excludedFields = [], onRestore = null } = {}) {
+    this.form = form
+    this.storageKey = storageKey
+    this.excludedFields = new Set(excludedFields)
+    this.onRestore = onRestore
+    this.isAwaitingChoice = false
+    this.banner = null
+
+    this.init()
+  }
+
+  init() {
+    const draft = this.load()
+    if (draft) {
+      this.showRestorePrompt(draft)
+    }
+
+    const debouncedSave = debounce(() => this.save(), CONTACT_CONFIG.DRAFT_SAVE_DELAY)
+    this.form.addEventListener("input", debouncedSave)
+    this.form.addEventListener("change", debouncedSave)
+
+    // Make sure the latest keystrokes survive navigating away
+    window.addEventListener("pagehide", () => this.save())
+
+    document.addEventListener("consent:change", (e) => {
+      if (!e.detail.categories.functional) this.clear()
+    })
+  }
+
+  getSavableFields() {
+    return Array.from(this.form.elements).filter(
+      (field) =>
+        field.name &&
+        !this.excludedFields.has(field.name) &&
+        !["file", "hidden", "password", "submit", "button", "reset"].includes(field.type) &&
+        !["FIELDSET", "BUTTON"].includes(field.tagName),
+    )
+  }
+
+  collect() {
+    const values = {}
+
+    this.getSavableFields().forEach((field) => {
+      if (field.type === "checkbox" || field.type === "radio") {
+        if (field.checked) values[field.name] = field.value
+      } else if (field.value.trim()) {
+        values[field.name] = field.value
+      }
+    })
+
+    return values
+  }
+
+  /**
+   * Drafts are kept only with functional cookies allowed
+   */
+  save() {
+    // Don't overwrite a stored draft before the user decided what to do with it
+    if (this.isAwaitingChoice || !hasCookieConsent("functional")) return
+
+    const values = this.collect()
+
+    try {
+      if (Object.keys(values).length === 0) {
+        localStorage.removeItem(this.storageKey)
+      } else {
+        localStorage.setItem(this.storageKey, JSON.stringify({ values, savedAt: Date.now() }))
+      }
+    } catch (error) {
+      console.warn("Unable to save contact form draft:", error)
+    }
+  }
+
+  load() {
+    if (!hasCookieConsent("functional")) return null
+
+    try {
+      const draft = JSON.parse(localStorage.getItem(this.storageKey))
+      if (!draft || !draft.values || Date.now() - draft.savedAt > CONTACT_CONFIG.DRAFT_MAX_AGE) {
+        localStorage.removeItem(this.storageKey)
+        return null
+      }
+      return draft
+    } catch (error) {
+      return null
+    }
+  }
+
+  clear() {
+    this.hideRestorePrompt()
+
+    try {
+      localStorage.removeItem(this.storageKey)
+    } catch (error) {
+      console.warn("Unable to clear contact form draft:", error)
+    }
+  }
+
+  showRestorePrompt(draft) {
+    this.isAwaitingChoice = true
+
+    this.banner = document.createElement("div")
+    this.banner.className = "draft-banner"
+    this.banner.setAttribute("role", "region")
+    this.banner.setAttribute("aria-label", "Unsent message")
+    this.banner.innerHTML = `
+      <p class="draft-banner-text">Restore your unsent message?</p>
+      <div class="draft-banner-actions">
+        <button type="button" class="btn btn-primary draft-restore">Restore</button>
+        <button type="button" class="btn btn-secondary draft-discard">Discard</button>
+      </div>
+    `
+
+    this.banner.querySelector(".draft-restore").addEventListener("click", () => this.restore(draft))
+    this.banner.querySelector(".draft-discard").addEventListener("click", () => {
+      this.clear()
+      this.form.querySelector("input, select, textarea")?.focus()
+    })
+
+    this.form.prepend(this.banner)
+  }
+
+  hideRestorePrompt() {
+    this.isAwaitingChoice = false
+    this.banner?.remove()
+    this.banner = null
+  }
+
+  restore(draft) {
+    const restoredFields = []
+
+    this.getSavableFields().forEach((field) => {
+      if (!(field.name in draft.values)) return
+
+      if (field.type === "checkbox" || field.type === "radio") {
+        field.checked = draft.values[field.name] === field.value
+      } else {
+        field.value = draft.values[field.name]
+      }
+      restoredFields.push(field)
+    })
+
+    this.hideRestorePrompt()
+    this.onRestore?.(restoredFields)
+  }
+}
+
+// ===== HELP ARTICLE DEFLECTION =====
+
+/**
+ * Suggests help-center articles and FAQ entries that match what the user is writing,
+ * using the local HELP_CONTENT index.
+ */
+class HelpDeflection {
+  constructor(form, analytics = null, content = typeof HELP_CONTENT !== "undefined" ? HELP_CONTENT : null) {
+    this.form = form
+    this.analytics = analytics
+    this.content = content
+    this.panel = form.querySelector(".help-suggestions")
+    this.list = this.panel?.querySelector(".help-suggestions-list")
+    this.messageField = form.querySelector("#message")
+    this.subjectField = form.querySelector("#subject")
+    this.stopWords = new Set(CONTACT_CONFIG.DEFLECTION.STOP_WORDS)
+
+    this.currentIds = ""
+    this.seenIds = new Set()
+    this.clickedIds = new Set()
+
+    if (this.content && this.panel && this.list) {
+      this.documents = this.buildDocuments()
+      this.bindEvents()
+    }
+  }
+
+  buildDocuments() {
+    const articles = this.content.articles.map((article) => ({
+      id: article.id,
+      type: "article",
+      title: article.title,
+      url: this.content.articleUrl(article.id),
+      category: article.category,
+      fields: [
+        [this.tokenize(article.title), 3],
+        [this.tokenize(article.keywords.join(" ")), 2],
+        [this.tokenize(article.summary), 1],
+      ],
+    }))
+
+    const faqs = this.content.faqs.map((faq) => ({
+      id: faq.id,
+      type: "faq",
+      title: faq.question,
+      url: this.content.faqUrl(faq.id),
+      category: faq.category,
+      fields: [
+        [this.tokenize(faq.question), 3],
+        [this.tokenize(faq.answer), 1],
+      ],
+    }))
+
+    return [...faqs, ...articles]
+  }
+
+  bindEvents() {
+    const debouncedUpdate = debounce(() => this.update("message"), CONTACT_CONFIG.DEFLECTION.DELAY)
+    this.messageField?.addEventListener("input", debouncedUpdate)
+    this.subjectField?.addEventListener("change", () => this.update("subject"))
+
+    this.list.addEventListener("click", (e) => {
+      const link = e.target.closest("a[data-suggestion-id]")
+      if (!link) return
+
+      this.clickedIds.add(link.dataset.suggestionId)
+      this.analytics?.trackEvent("help_suggestion_clicked", {
+        suggestion_id: link.dataset.suggestionId,
+        suggestion_type: link.dataset.suggestionType,
+        position: Number(link.dataset.position),
+      })
+    })
+  }
+
+  tokenize(text) {
+    return (text || "")
+      .toLowerCase()
+      .split(/[^a-z0-9']+/)
+      .map((token) => token.replace(/'s$/, "").replace(/s$/, ""))
+      .filter((token) => token.length >= 3 && !this.stopWords.has(token))
+  }
+
+  /**
+   * Score a document: weighted count of query terms found in its fields.
+   * Terms of 4+ characters also match as prefixes ("notif" -> "notification").
+   */
+  score(document, terms) {
+    let score = 0
+
+    terms.forEach((term) => {
+      for (const [tokens, weight] of document.fields) {
+        const matches = tokens.some(
+          (token) => token === term || (term.length >= 4 && (token.startsWith(term) || term.startsWith(token))),
+        )
+        if (matches) {
+          score += weight
+          break
+        }
+      }
+    })
+
+    return score
+  }
+
+  getSuggestions() {
+    const settings = CONTACT_CONFIG.DEFLECTION
+    const message = this.messageField?.value || ""
+    const subjectTerms = settings.SUBJECT_KEYWORDS[this.subjectField?.value] || []
+    const messageTerms = message.trim().length >= settings.MIN_MESSAGE_LENGTH ? this.tokenize(message) : []
+
+    const terms = [...new Set([...messageTerms, ...subjectTerms.flatMap((term) => this.tokenize(term))])]
+    if (terms.length === 0) return []
+
+    return this.documents
+      .map((document) => ({ document, score: this.score(document, terms) }))
+      .filter(({ score }) => score >= settings.MIN_SCORE)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, settings.MAX_SUGGESTIONS)
+      .map(({ document }) => document)
+  }
+
+  update(trigger) {
+    const suggestions = this.getSuggestions()
+    const ids = suggestions.map((suggestion) => suggestion.id).join(",")
+
+    // Only re-render (and re-announce) when the set of suggestions changes
+    if (ids === this.currentIds) return
+    this.currentIds = ids
+
+    this.render(suggestions)
+
+    if (suggestions.length > 0) {
+      suggestions.forEach((suggestion) => this.seenIds.add(suggestion.id))
+      this.analytics?.trackEvent("help_suggestions_shown", {
+        trigger,
+        suggestion_ids: suggestions.map((suggestion) => suggestion.id),
+        subject: this.subjectField?.value || null,
+      })
+    }
+  }
+
+  render(suggestions) {
+    this.panel.hidden = suggestions.length === 0
+
+    this.list.innerHTML = suggestions
+      .map((suggestion, index) => {
+        const category = this.content.getCategory(suggestion.category)
+        const label = suggestion.type === "faq" ? "FAQ" : category?.title || "Article"
+
+        return `
+          <li class="help-suggestion">
+            <a href="${suggestion.url}" target="_blank" rel="noopener"
+              data-suggestion-id="${suggestion.id}" data-suggestion-type="${suggestion.type}" data-position="${index + 1}">
+              <span class="help-suggestion-title">${sanitizeInput(suggestion.title)}</span>
+              <span class="help-suggestion-meta">${sanitizeInput(label)}<span class="sr-only"> (opens in a new tab)</span></span>
+            </a>
+          </li>
+        `
+      })
+      .join("")
+  }
+
+  /**
+   * Summary of what the user saw before sending, for deflection reporting
+   */
+  getExposure() {
+    return {
+      suggestions_seen: this.seenIds.size,
+      suggestions_clicked: this.clickedIds.size,
+    }
+  }
+
+  reset() {
+    this.currentIds = ""
+    this.seenIds.clear()
+    this.clickedIds.clear()
+    this.render([])
+  }
+}
+
+// ===== FORM FUNNEL =====
+
+/**
+ * Local log of finished contact form sessions, summarised in the debug tools
+ */
+class FormFunnelStore {
+  constructor(storageKey = CONTACT_CONFIG.FUNNEL.STORAGE_KEY, maxItems = CONTACT_CONFIG.FUNNEL.MAX_TRACKED_SESSIONS) {
+    this.storageKey = storageKey
+    this.maxItems = maxItems
+  }
+
+  getAll() {
+    try {
+      const sessions = JSON.parse(localStorage.getItem(this.storageKey))
+      return Array.isArray(sessions) ? sessions : []
+    } catch (error) {
+      return []
+    }
+  }
+
+  record(session) {
+    try {
+      const sessions = [...this.getAll(), { ...session, timestamp: Date.now() }]
+      localStorage.setItem(this.storageKey, JSON.stringify(sessions.slice(-this.maxItems)))
+    } catch (error) {
+      console.warn("Unable to store form funnel:", error)
+    }
+  }
+
+  clear() {
+    try {
+      localStorage.removeItem(this.storageKey)
+    } catch (error) {
+      // Nothing stored
+    }
+  }
+
+  getSummary() {
+    const sessions = this.getAll()
+    const abandoned = sessions.filter((session) => session.outcome === "abandoned")
+    const fields = new Map()
+    const errors = new Map()
+
+    sessions.forEach((session) => {
+      session.fields.forEach((entry) => {
+        const field = fields.get(entry.field) || {
+          field: entry.field,
+          sessions: 0,
+          totalOrder: 0,
+          totalTime: 0,
+          errors: 0,
+          reEdits: 0,
+          dropOffs: 0,
+        }
+        field.sessions++
+        field.totalOrder += entry.focus_index
+        field.totalTime += entry.time_ms
+        field.reEdits += entry.re_edits
+        fields.set(entry.field, field)
+      })
+
+      session.errors.forEach(({ field, rule, count }) => {
+        const key = `${field}:${rule}`
+        const error = errors.get(key) || { field, rule, count: 0 }
+        error.count += count
+        errors.set(key, error)
+
+        if (fields.has(field)) fields.get(field).errors += count
+      })
+
+      if (session.outcome === "abandoned" && fields.has(session.last_field)) {
+        fields.get(session.last_field).dropOffs++
+      }
+    })
+
+    return {
+      totalSessions: sessions.length,
+      submitted: sessions.length - abandoned.length,
+      abandoned: abandoned.length,
+      averageDuration:
+        sessions.length > 0 ? sessions.reduce((sum, session) => sum + session.duration_ms, 0) / sessions.length : 0,
+      // In the order people usually reach them
+      fields: [...fields.values()]
+        .map(({ totalOrder, totalTime, ...field }) => ({
+          ...field,
+          averageOrder: totalOrder / field.sessions,
+          averageTime: totalTime / field.sessions,
+        }))
+        .sort((a, b) => a.averageOrder - b.averageOrder),
+      errors: [...errors.values()].sort((a, b) => b.count - a.count),
+    }
+  }
+}
+
+/**
+ * Follows one pass through the contact form, from the first focus to a submission or to leaving the page:
+ * focus order, time in each field, validation errors and edits made after an error. Only field names and
+ * validation rules are reported, never what was typed.
+ */
+class ContactFormFunnel {
+  constructor(form, analytics = null, store = new FormFunnelStore()) {
+    this.form = form
+    this.analytics = analytics
+    this.store = store
+
+    this.reset()
+    this.bindEvents()
+  }
+
+  reset() {
+    this.startedAt = null
+    this.fields = new Map()
+    this.errors = new Map()
+    this.invalidFields = new Set()
+    this.awaitingEdit = new Set()
+    this.activeField = null
+    this.focusedAt = null
+    this.lastField = null
+    this.hasChanges = false
+    this.submitAttempts = 0
+  }
+
+  bindEvents() {
+    this.form.addEventListener("focusin", (e) => {
+      const name = this.getFieldName(e.target)
+      if (name) this.handleFocus(name)
+    })
+    this.form.addEventListener("focusout", () => this.stopClock())
+
+    this.form.addEventListener("input", (e) => {
+      const name = this.getFieldName(e.target)
+      if (!name) return
+
+      // The field may have been focused before this session began, e.g. after the previous message was sent
+      if (this.activeField !== name) this.handleFocus(name)
+      this.hasChanges = true
+
+      if (this.awaitingEdit.delete(name)) {
+        this.fields.get(name).reEdits++
+      }
+    })
+
+    this.form.addEventListener("validation:change", (e) => this.handleValidation(e.detail))
+
+    window.addEventListener("pagehide", () => this.handlePageHide())
+
+    // The local log is analytics data; drop it when analytics consent is withdrawn
+    document.addEventListener("consent:change", (e) => {
+      if (!e.detail.categories.analytics) this.store.clear()
+    })
+  }
+
+  /**
+   * Name of a field the user fills in; buttons, hidden inputs and the spam honeypot don't count
+   */
+  getFieldName(element) {
+    if (!element?.matches?.("input, select, textarea") || ["hidden", "submit", "button"].includes(element.type)) {
+      return null
+    }
+    if (element.name === CONTACT_CONFIG.SPAM_PROTECTION.HONEYPOT_FIELD) return null
+    return element.name || null
+  }
+
+  handleFocus(name) {
+    if (!this.startedAt) {
+      this.startedAt = Date.now()
+      this.analytics?.trackFormStart()
+    }
+
+    this.stopClock()
+
+    if (!this.fields.has(name)) {
+      this.fields.set(name, { focusIndex: this.fields.size + 1, time: 0, reEdits: 0 })
+    }
+
+    this.activeField = name
+    this.focusedAt = Date.now()
+    this.lastField = name
+  }
+
+  stopClock() {
+    if (!this.activeField) return
+
+    this.fields.get(this.activeField).time += Date.now() - this.focusedAt
+    this.activeField = null
+    this.focusedAt = null
+  }
+
+  handleValidation({ field: name, valid, rule }) {
+    // Validation of restored drafts before the user touches the form is not part of a session
+    if (!this.startedAt) return
+
+    if (valid) {
+      this.invalidFields.delete(name)
+      this.awaitingEdit.delete(name)
+    } else {
+      // Submitting can flag fields that were never focused, so errors are counted separately
+      const key = `${name}:${rule}`
+      const error = this.errors.get(key) || { field: name, rule, count: 0 }
+      error.count++
+      this.errors.set(key, error)
+
+      // One re-edit per stretch of time the field is invalid, however many errors it shows meanwhile
+      if (!this.invalidFields.has(name)) {
+        this.invalidFields.add(name)
+        this.awaitingEdit.add(name)
+      }
+    }
+
+    this.analytics?.trackFieldValidation(name, valid, valid ? null : rule)
+  }
+
+  /**
+   * Record a submit attempt with the `{ field, rule }` errors that stopped it; a successful one ends the session
+   */
+  recordSubmit(success, errors = []) {
+    this.submitAttempts++
+    this.analytics?.trackFormSubmit(success, errors)
+
+    if (success) this.finish("submitted")
+  }
+
+  /**
+   * Leaving after changing a field without sending it counts as abandoning the form
+   */
+  handlePageHide() {
+    if (!this.startedAt || !this.hasChanges) return
+
+    this.finish("abandoned")
+    this.analytics?.flush()
+  }
+
+  finish(outcome) {
+    if (!this.startedAt) return
+
+    this.stopClock()
+    const session = this.getSession(outcome)
+
+    this.analytics?.trackEvent("contact_form_funnel", session)
+    if (this.analytics?.hasConsent()) {
+      this.store.record(session)
+    }
+
+    this.reset()
+  }
+
+  getSession(outcome) {
+    const fields = [...this.fields].map(([field, { focusIndex, time, reEdits }]) => ({
+      field,
+      focus_index: focusIndex,
+      time_ms: time,
+      re_edits: reEdits,
+    }))
+    const errors = [...this.errors.values()].map((error) => ({ ...error }))
+
+    return {
+      outcome,
+      duration_ms: Date.now() - this.startedAt,
+      submit_attempts: this.submitAttempts,
+      last_field: this.lastField,
+      fields_touched: fields.length,
+      error_count: errors.reduce((total, error) => total + error.count, 0),
+      re_edit_count: fields.reduce((total, field) => total + field.re_edits, 0),
+      focus_order: fields.map((field) => field.field),
+      fields,
+      errors,
+    }
+  }
+
+  renderSummary() {
+    const summary = this.store.getSummary()
+    if (summary.totalSessions === 0) {
+      return "<p>No form sessions recorded yet.</p>"
+    }
+
+    const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`
+    const cells = (values) => values.map((value) => `<td>${sanitizeInput(String(value))}</td>`).join("")
+    const rows = (entries, render, columns) =>
+      entries.length > 0
+        ? entries.map((entry) => `<tr>${cells(render(entry))}</tr>`).join("")
+        : `<tr><td colspan="${columns}">None</td></tr>`
+
+    const abandonmentRate = Math.round((summary.abandoned / summary.totalSessions) * 100)
+
+    return `
+      <p>
+        ${summary.totalSessions} sessions: ${summary.submitted} submitted, ${summary.abandoned} abandoned
+        (${abandonmentRate}%), ${seconds(summary.averageDuration)} on average
+      </p>
+      <table>
+        <caption>Fields</caption>
+        <thead>
+          <tr>
+            <th scope="col">Field</th><th scope="col">Avg. time</th><th scope="col">Errors</th>
+            <th scope="col">Re-edits</th><th scope="col">Drop-offs</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows(
+            summary.fields,
+            (field) => [field.field, seconds(field.averageTime), field.errors, field.reEdits, field.dropOffs],
+            5,
+          )}
+        </tbody>
+      </table>
+      <table>
+        <caption>Validation errors</caption>
+        <thead><tr><th scope="col">Field</th><th scope="col">Rule</th><th scope="col">Count</th></tr></thead>
+        <tbody>${rows(summary.errors, (error) => [error.field, error.rule, error.count], 3)}</tbody>
+      </table>
+    `
+  }
+}
+
+// ===== TICKET REFERENCES =====
+
+/**
+ * Remembers the references of recently submitted requests on this device.
+ * Only the reference, subject and date are stored, never the email address.
+ */
+class TicketStore {
+  constructor(storageKey = CONTACT_CONFIG.RECENT_TICKETS_STORAGE_KEY) {
+    this.storageKey = storageKey
+  }
+
+  /**
+   * Stored tickets, skipping any whose reference doesn't match TICKET_REFERENCE_PATTERN
+   */
+  getAll() {
+    try {
+      const tickets = JSON.parse(localStorage.getItem(this.storageKey))
+      return Array.isArray(tickets)
+        ? tickets.filter((ticket) => CONTACT_CONFIG.TICKET_REFERENCE_PATTERN.test(ticket?.reference))
+        : []
+    } catch (error) {
+      return []
+    }
+  }
+
+  add(reference, subject = null) {
+    if (!CONTACT_CONFIG.TICKET_REFERENCE_PATTERN.test(reference)) return
+
+    const tickets = this.getAll().filter((ticket) => ticket.reference !== reference)
+    tickets.unshift({ reference, subject, createdAt: Date.now() })
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(tickets.slice(0, CONTACT_CONFIG.MAX_RECENT_TICKETS)))
+    } catch (error) {
+      console.warn("Unable to remember ticket reference:", error)
+    }
+  }
+}
+
+/**
+ * Local log of help searches and the results clicked from them, summarised in the debug tools.
+ * Queries are stored lowercased with emails and phone numbers stripped.
+ */
+class SearchAnalyticsStore {
+  constructor(storageKey = CONTACT_CONFIG.SEARCH.ANALYTICS_STORAGE_KEY, maxItems = CONTACT_CONFIG.SEARCH.MAX_TRACKED_SEARCHES) {
+    this.storageKey = storageKey
+    this.maxItems = maxItems
+  }
+
+  getAll() {
+    try {
+      const searches = JSON.parse(localStorage.getItem(this.storageKey))
+      return Array.isArray(searches) ? searches : []
+    } catch (error) {
+      return []
+    }
+  }
+
+  save(searches) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(searches.slice(-this.maxItems)))
+    } catch (error) {
+      console.warn("Unable to store search analytics:", error)
+    }
+  }
+
+  recordSearch(query, resultCount, source = "search") {
+    const search = {
+      id: generateId(),
+      query: stripPii(query).trim().toLowerCase(),
+      resultCount,
+      source,
+      timestamp: Date.now(),
+      click: null,
+    }
+
+    this.save([...this.getAll(), search])
+    return search
+  }
+
+  /**
+   * Record the first result clicked from a search
+   */
+  recordClick(searchId, click) {
+    const searches = this.getAll()
+    const search = searches.find((item) => item.id === searchId)
+    if (!search || search.click) return
+
+    search.click = click
+    this.save(searches)
+  }
+
+  clear() {
+    try {
+      localStorage.removeItem(this.storageKey)
+    } catch (error) {
+      // Nothing stored
+    }
+  }
+
+  getSummary(limit = CONTACT_CONFIG.SEARCH.INSIGHTS_TOP_QUERIES) {
+    const searches = this.getAll()
+    const queries = new Map()
+
+    searches.forEach(({ query, resultCount, click }) => {
+      const entry = queries.get(query) || { query, count: 0, clicks: 0, zeroResults: 0 }
+      entry.count++
+      if (click) entry.clicks++
+      if (resultCount === 0) entry.zeroResults++
+      queries.set(query, entry)
+    })
+
+    const byCount = (a, b) => b.count - a.count
+    const clicked = searches.filter((search) => search.click).length
+
+    return {
+      totalSearches: searches.length,
+      clickThroughRate: searches.length > 0 ? clicked / searches.length : 0,
+      topQueries: [...queries.values()].sort(byCount).slice(0, limit),
+      zeroResultQueries: [...queries.values()]
+        .filter((entry) => entry.zeroResults > 0)
+        .sort(byCount)
+        .slice(0, limit),
+    }
+  }
+}
+
+/**
+ * Read the ticket reference from a submission response. Anything that doesn't look like a reference is ignored.
+ */
+function getTicketReference(response) {
+  const reference = response?.ticket?.reference || response?.reference
+  return typeof reference === "string" && CONTACT_CONFIG.TICKET_REFERENCE_PATTERN.test(reference) ? reference : null
+}
+
+/**
+ * Copy text to the clipboard, falling back to a temporary textarea
+ */
+async function copyToClipboard(text) {
+  if (navigator.clipboard?.writeText) {
+    try {
+      await navigator.clipboard.writeText(text)
+      return true
+    } catch (error) {
+      // Fall through to the legacy approach
+    }
+  }
+
+  const textarea = document.createElement("textarea")
+  textarea.value = text
+  textarea.setAttribute("readonly", "")
+  textarea.style.cssText = "position: absolute; left: -9999px;"
+  document.body.appendChild(textarea)
+  textarea.select()
+
+  let copied = false
+  try {
+    copied = document.execCommand("copy")
+  } catch (error) {
+    copied = false
+  }
+
+  textarea.remove()
+  return copied
+}
+
+// ===== FORM VALIDATION SCHEMA =====
+
+/**
+ * Validation rules for the contact form.
+ *
+ * Each entry in `fields` is keyed by the field's name and supports:
+ *   label, required, type ("email" | "tel"), pattern, minLength, maxLength,
+ *   messages (per-rule overrides) and validators (sync or async functions
+ *   `(value, values, field) => errorMessage | null`).
+ * Fields marked `sensitive: true` are never written to the local draft.
+ * Fields marked `analytics: true` hold non-identifying values that may be sent with analytics events.
+ * Entries in `rules` are cross-field checks: `{ field, validate: (values) => errorMessage | null }`,
+ * where the error is shown on `field`.
+ *
+ * The same options can be declared on the inputs themselves with native attributes
+ * (required, type, pattern, minlength, maxlength) and data attributes
+ * (data-label, data-error-required, data-error-pattern, ...). Schema entries win.
+ */
+const CONTACT_FORM_SCHEMA = {
+  fields: {
+    name: { label: "Name", required: true },
+    email: { label: "Email", required: true, type: "email", sensitive: true },
+    subject: { label: "Subject", required: true },
+    message: {
+      label: "Message",
+      required: true,
+      minLength: CONTACT_CONFIG.MIN_MESSAGE_LENGTH,
+      maxLength: CONTACT_CONFIG.MAX_MESSAGE_LENGTH,
+    },
+
+    // Subject-specific fields, only validated while their fieldset is shown
+    device: { label: "Device", required: true, maxLength: 100, analytics: true },
+    os: { label: "Operating system", required: true, analytics: true },
+    app_version: {
+      label: "App version",
+      required: true,
+      pattern: /^\d+(\.\d+){0,3}$/,
+      messages: { pattern: "Please enter a version number like 2.4.1" },
+      analytics: true,
+    },
+    steps: { label: "Steps to reproduce", required: true, minLength: CONTACT_CONFIG.MIN_MESSAGE_LENGTH, maxLength: 2000 },
+    account_email: { label: "Account email", required: true, type: "email", sensitive: true },
+    invoice_number: {
+      label: "Invoice number",
+      sensitive: true,
+      pattern: /^[A-Z0-9][A-Z0-9-]{3,29}$/i,
+      messages: { pattern: "Please enter the invoice number as shown on your receipt" },
+    },
+    request_type: { label: "Request type", required: true, analytics: true },
+  },
+  rules: [],
+}
+
+/**
+ * Validation rules for the request status lookup form
+ */
+const TICKET_LOOKUP_SCHEMA = {
+  fields: {
+    reference: {
+      label: "Reference number",
+      required: true,
+      pattern: CONTACT_CONFIG.TICKET_REFERENCE_PATTERN,
+      messages: { pattern: "Please enter the reference from your confirmation, e.g. FH-4K7Q2M" },
+    },
+    email: { label: "Email", required: true, type: "email" },
+  },
+  rules: [],
+}
+
+// ===== FORM VALIDATION CLASS =====
+class ContactFormValidator {
+  constructor(form, schema = {}) {
+    this.form = form
+    this.schema = ContactFormValidator.buildSchema(form, schema)
+    this.errors = new Map()
+    this.errorRules = new Map()
+    this.isValid = true
+    this.pendingChecks = new Map()
+  }
+
+  /**
+   * Merge the rules declared on the form's inputs with the JS schema
+   */
+  static buildSchema(form, schema = {}) {
+    const fields = {}
+
+    if (form) {
+      Array.from(form.elements).forEach((element) => {
+        if (!element.name || ["button", "submit", "reset", "fieldset"].includes(element.type)) return
+
+        const rules = ContactFormValidator.rulesFromElement(element)
+        if (Object.keys(rules).some((key) => !["label", "messages"].includes(key))) {
+          fields[element.name] = rules
+        }
+      })
+    }
+
+    Object.entries(schema.fields || {}).forEach(([name, rules]) => {
+      fields[name] = {
+        ...fields[name],
+        ...rules,
+        messages: { ...fields[name]?.messages, ...rules.messages },
+      }
+    })
+
+    return { fields, rules: schema.rules || [] }
+  }
+
+  /**
+   * Read validation rules from native and data attributes
+   */
+  static rulesFromElement(element) {
+    const rules = { messages: {} }
+    const label = element.dataset.label || element.labels?.[0]?.textContent.replace("*", "").trim()
+
+    if (label) rules.label = label
+    if (element.required) rules.required = true
+    if (element.type === "email" || element.type === "tel") rules.type = element.type
+    if (element.getAttribute("pattern")) rules.pattern = new RegExp(`^(?:${element.getAttribute("pattern")})$`)
+
+    const minLength = element.dataset.minlength || element.getAttribute("minlength")
+    const maxLength = element.dataset.maxlength || element.getAttribute("maxlength")
+    if (minLength) rules.minLength = Number(minLength)
+    if (maxLength) rules.maxLength = Number(maxLength)
+
+    Object.keys(element.dataset).forEach((key) => {
+      if (key.startsWith("error") && key.length > 5) {
+        const rule = key.charAt(5).toLowerCase() + key.slice(6)
+        rules.messages[rule] = element.dataset[key]
+      }
+    })
+
+    return rules
+  }
+
+  /**
+   * Run the synchronous rules for a value. Returns an error message or null.
+   */
+  checkRules(rules, value) {
+    return this.findRuleError(rules, value)?.message || null
+  }
+
+  /**
+   * Like checkRules, but returns `{ rule, message }` so the failing rule can be reported
+   */
+  findRuleError(rules, value) {
+    const label = rules.label || "This field"
+    const messages = rules.messages || {}
+    const text = typeof value === "string" ? value.trim() : value
+
+    if (!text) {
+      return rules.required ? { rule: "required", message: messages.required || `${label} is required` } : null
+    }
+
+    if (rules.type === "email" && !CONTACT_CONFIG.EMAIL_PATTERN.test(text)) {
+      return { rule: "type", message: messages.type || "Please enter a valid email address" }
+    }
+
+    if (rules.type === "tel" && !CONTACT_CONFIG.PHONE_PATTERN.test(text.replace(/[\s()-]/g, ""))) {
+      return { rule: "type", message: messages.type || "Please enter a valid phone number" }
+    }
+
+    if (rules.pattern && !rules.pattern.test(text)) {
+      return { rule: "pattern", message: messages.pattern || `Please enter a valid ${label.toLowerCase()}` }
+    }
+
+    if (rules.minLength && text.length < rules.minLength) {
+      return {
+        rule: "minLength",
+        message: messages.minLength || `${label} must be at least ${rules.minLength} characters`,
+      }
+    }
+
+    if (rules.maxLength && text.length > rules.maxLength) {
+      return {
+        rule: "maxLength",
+        message: messages.maxLength || `${label} must be less than ${rules.maxLength} characters`,
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Run custom validators in order, stopping at the first error
+   */
+  async runValidators(rules, value, values, field) {
+    for (const validator of rules.validators || []) {
+      const message = await validator(value, values, field)
+      if (message) return message
+    }
+    return null
+  }
+
+  getField(name) {
+    const field = this.form?.elements.namedItem(name)
+    // Radio groups come back as a RadioNodeList; errors are shown on the first input
+    return field && !field.closest && field.length ? field[0] : field
+  }
+
+  getValues(formData = new FormData(this.form)) {
+    const values = {}
+    Object.keys(this.schema.fields).forEach((name) => {
+      values[name] = formData.get(name)
+    })
+    return values
+  }
+
+  /**
+   * Fields that are disabled (directly or through their fieldset) or have no form group are not validated
+   */
+  shouldValidate(field) {
+    return Boolean(field && !field.matches(":disabled") && field.closest(".form-group"))
+  }
+
+  /**
+   * Validate a single field against its rules and the cross-field rules that target it
+   */
+  async validateField(field, formData) {
+    const rules = this.schema.fields[field.name]
+    if (!rules || !this.shouldValidate(field)) return true
+
+    // Ignore results from checks superseded by a newer one for the same field
+    const checkId = (this.pendingChecks.get(field.name) || 0) + 1
+    this.pendingChecks.set(field.name, checkId)
+
+    const values = this.getValues(formData)
+    const value = values[field.name]
+
+    let error = this.findRuleError(rules, value)
+    if (!error && value) {
+      const message = await this.runValidators(rules, value, values, field)
+      if (message) error = { rule: "custom", message }
+    }
+    if (!error) {
+      const message = this.checkCrossFieldRules(field.name, values)
+      if (message) error = { rule: "cross_field", message }
+    }
+
+    if (this.pendingChecks.get(field.name) !== checkId) {
+      return !this.errors.has(field.name)
+    }
+
+    if (error) {
+      this.addError(field, error.message, error.rule)
+      return false
+    }
+
+    this.removeError(field)
+    return true
+  }
+
+  checkCrossFieldRules(fieldName, values) {
+    for (const rule of this.schema.rules) {
+      if (rule.field !== fieldName) continue
+      const message = rule.validate(values)
+      if (message) return message
+    }
+    return null
+  }
+
+  /**
+   * Add validation error. `rule` names the check that failed, for analytics.
+   */
+  addError(field, message, rule = "custom") {
+    // Reported when the field wasn't failing this rule yet. validateForm starts afresh, so a submit reports
+    // every error once, while re-checks as the user types or leaves an invalid field do not.
+    const isNewError = this.errorRules.get(field.name) !== rule
+
+    this.errors.set(field.name, message)
+    this.errorRules.set(field.name, rule)
+    this.isValid = false
+
+    if (isNewError) {
+      this.dispatchChange(field, false, rule)
+    }
+
+    // Update UI
+    const formGroup = field.closest(".form-group")
+    const errorElement = formGroup.querySelector(".error-message")
+    if (field.getAttribute("aria-invalid") === "true" && errorElement?.textContent === message) return
+
+    formGroup.classList.add("error")
+    formGroup.classList.remove("success")
+    field.setAttribute("aria-invalid", "true")
+
+    if (errorElement) {
+      errorElement.textContent = message
+      errorElement.setAttribute("aria-live", "polite")
+    }
+  }
+
+  /**
+   * Remove validation error
+   */
+  removeError(field) {
+    this.errors.delete(field.name)
+    this.errorRules.delete(field.name)
+
+    // Update UI
+    const formGroup = field.closest(".form-group")
+    const errorElement = formGroup.querySelector(".error-message")
+    const hadError = field.getAttribute("aria-invalid") === "true"
+
+    formGroup.classList.remove("error")
+    formGroup.classList.add("success")
+    field.setAttribute("aria-invalid", "false")
+
+    if (errorElement) {
+      errorElement.textContent = ""
+    }
+
+    if (hadError) {
+      this.dispatchChange(field, true)
+    }
+  }
+
+  /**
+   * Announce a new error, or a field turning valid again, on the form as a `validation:change`
+   * event with `{ field, valid, rule }`
+   */
+  dispatchChange(field, valid, rule = null) {
+    this.form?.dispatchEvent(new CustomEvent("validation:change", { detail: { field: field.name, valid, rule } }))
+  }
+
+  /**
+   * Validate entire form
+   */
+  async validateForm(formData) {
+    this.errors.clear()
+    this.errorRules.clear()
+
+    const results = await Promise.all(
+      Object.keys(this.schema.fields).map((name) => {
+        const field = this.getField(name)
+        return field ? this.validateField(field, formData) : true
+      }),
+    )
+
+    this.isValid = results.every(Boolean)
+    return this.isValid
+  }
+
+  /**
+   * Get all validation errors
+   */
+  getErrors() {
+    return Array.from(this.errors.entries())
+  }
+
+  /**
+   * `{ field, rule }` for every validation error, without the messages
+   */
+  getErrorRules() {
+    return Array.from(this.errors.keys(), (field) => ({ field, rule: this.errorRules.get(field) || "custom" }))
+  }
+}
+
+// ===== CONTACT FORM HANDLER CLASS =====
+class ContactFormHandler {
+  constructor(analytics = null) {
+    this.analytics = analytics
+    this.form = document.querySelector(".contact-form")
+    this.submitButton = this.form?.querySelector('button[type="submit"]')
+    this.validator = new ContactFormValidator(this.form, CONTACT_FORM_SCHEMA)
+    this.outbox = new ContactOutbox()
+    this.spamGuard = new SpamGuard()
+    this.tickets = new TicketStore()
+    this.ticketConfirmation = document.querySelector(".ticket-confirmation")
+    this.newsletter = typeof NewsletterSubscription !== "undefined" ? new NewsletterSubscription() : null
+    this.isSubmitting = false
+    this.isFlushingOutbox = false
+
+    this.init()
+  }
+
+  init() {
+    if (!this.form) {
+      console.warn("Contact form not found")
+      return
+    }
+
+    this.bindEvents()
+    this.setupRealTimeValidation()
+    this.setupSubjectFields()
+    this.setupAttachments()
+    this.setupDrafts()
+    this.setupDeflection()
+    this.setupFunnel()
+    this.setupTicketConfirmation()
+    this.setupOutbox()
+  }
+
+  bindEvents() {
+    // Form submission
+    this.form.addEventListener("submit", (e) => {
+      e.preventDefault()
+      this.handleSubmit()
+    })
+
+    // Real-time validation on blur
+    const fields = this.form.querySelectorAll("input, select, textarea")
+    fields.forEach((field) => {
+      field.addEventListener("blur", () => {
+        this.validateField(field)
+      })
+    })
+
+    // Character counter for message field
+    const messageField = document.getElementById("message")
+    if (messageField) {
+      this.setupCharacterCounter(messageField)
+    }
+  }
+
+  /**
+   * Show the extra fields that belong to the selected subject.
+   * Hidden fieldsets are also disabled, which keeps them out of validation and of the FormData.
+   */
+  setupSubjectFields() {
+    this.subjectField = this.form.querySelector("#subject")
+    this.subjectFieldsets = this.form.querySelectorAll(".subject-fields[data-subject]")
+
+    if (!this.subjectField || this.subjectFieldsets.length === 0) return
+
+    this.subjectField.addEventListener("change", () => {
+      this.updateSubjectFields()
+
+      if (this.subjectField.value) {
+        this.analytics?.trackEvent("contact_form_subject_selected", { subject: this.subjectField.value })
+      }
+    })
+    this.updateSubjectFields()
+  }
+
+  updateSubjectFields() {
+    const subject = this.subjectField?.value
+
+    this.subjectFieldsets?.forEach((fieldset) => {
+      const isActive = fieldset.dataset.subject.split(" ").includes(subject)
+      if (isActive === !fieldset.hidden) return
+
+      fieldset.hidden = !isActive
+      fieldset.disabled = !isActive
+
+      if (!isActive) {
+        this.clearValidationStates(fieldset)
+      }
+    })
+  }
+
+  /**
+   * Values of the subject-specific fields that are safe to send to analytics
+   */
+  getSubjectDetails(formData) {
+    const details = {}
+
+    Object.entries(this.validator.schema.fields).forEach(([name, rules]) => {
+      const value = formData.get(name)
+      if (rules.analytics && value) {
+        details[name] = value
+      }
+    })
+
+    return details
+  }
+
+  setupAttachments() {
+    const input = this.form.querySelector(".attachment-input")
+    this.attachments = input ? new AttachmentManager(input, this.validator) : null
+  }
+
+  setupTicketConfirmation() {
+    const copyButton = this.ticketConfirmation?.querySelector(".ticket-copy")
+    if (!copyButton) return
+
+    copyButton.addEventListener("click", async () => {
+      const reference = this.ticketConfirmation.querySelector(".ticket-reference").textContent
+      const copied = await copyToClipboard(reference)
+
+      copyButton.textContent = copied ? "Copied!" : "Copy failed"
+      setTimeout(() => {
+        copyButton.textContent = "Copy"
+      }, 2000)
+    })
+  }
+
+  /**
+   * Remember the reference of a delivered request and show it with a copy button
+   */
+  showTicketReference(reference, subject) {
+    this.tickets.add(reference, subject)
+    document.dispatchEvent(new CustomEvent("contact:ticket-created", { detail: { reference } }))
+
+    if (!this.ticketConfirmation) return
+
+    this.ticketConfirmation.querySelector(".ticket-reference").textContent = reference
+    this.ticketConfirmation.hidden = false
+    this.ticketConfirmation.focus()
+  }
+
+  setupDeflection() {
+    this.deflection = new HelpDeflection(this.form, this.analytics)
+  }
+
+  setupFunnel() {
+    this.funnel = new ContactFormFunnel(this.form, this.analytics)
+  }
+
+  setupDrafts() {
+    const sensitiveFields = Object.entries(this.validator.schema.fields)
+      .filter(([, rules]) => rules.sensitive)
+      .map(([name]) => name)
+
+    this.drafts = new FormDraftManager(this.form, {
+      excludedFields: [CONTACT_CONFIG.SPAM_PROTECTION.HONEYPOT_FIELD, ...sensitiveFields],
+      onRestore: (fields) => this.handleDraftRestored(fields),
+    })
+  }
+
+  /**
+   * Bring the UI in line with restored values: subject fields, character counter and validation state
+   */
+  handleDraftRestored(fields) {
+    this.updateSubjectFields()
+
+    const messageField = this.form.querySelector("#message")
+    messageField?.dispatchEvent(new Event("input", { bubbles: true }))
+
+    fields.forEach((field) => this.validateField(field))
+
+    // Continue where the user left off: the first field that is still empty, or the message
+    const focusTarget =
+      Array.from(this.form.querySelectorAll(".form-group input, .form-group select, .form-group textarea")).find(
+        (field) => !field.matches(":disabled") && !["file", "checkbox"].includes(field.type) && !field.value,
+      ) || messageField
+    focusTarget?.focus()
+  }
+
+  setupOutbox() {
+    this.outboxStatus = document.createElement("p")
+    this.outboxStatus.className = "outbox-status"
+    this.outboxStatus.setAttribute("role", "status")
+    this.outboxStatus.setAttribute("aria-live", "polite")
+    this.outboxStatus.hidden = true
+    this.submitButton?.insertAdjacentElement("beforebegin", this.outboxStatus)
+
+    window.addEventListener("online", () => this.flushOutbox())
+    window.addEventListener("offline", () => this.updateOutboxStatus())
+
+    this.updateOutboxStatus()
+
+    // Send anything left over from a previous visit
+    if (navigator.onLine) {
+      this.flushOutbox()
+    }
+  }
+
+  updateOutboxStatus() {
+    if (!this.outboxStatus) return
+
+    const pending = this.outbox.count()
+    this.outboxStatus.hidden = pending === 0
+
+    if (pending > 0) {
+      const label = pending === 1 ? "1 message" : `${pending} messages`
+      this.outboxStatus.textContent = navigator.onLine
+        ? `${label} waiting to send...`
+        : `${label} queued - will send when you're back online`
+    }
+  }
+
+  /**
+   * Send queued submissions in order, stopping at the first one that still can't get through
+   */
+  async flushOutbox() {
+    if (this.isFlushingOutbox || !navigator.onLine) return
+    this.isFlushingOutbox = true
+
+    try {
+      for (const entry of this.outbox.getAll()) {
+        try {
+          const formData = this.outbox.toFormData(entry)
+          const response = await this.submitForm(formData, entry.id)
+          this.outbox.remove(entry.id)
+          showNotification(CONTACT_CONFIG.MESSAGES.OUTBOX_SENT, "success")
+
+          const reference = getTicketReference(response)
+          if (reference) this.showTicketReference(reference, formData.get("subject"))
+          this.handleNewsletterOptIn(formData)
+        } catch (error) {
+          if (error instanceof SubmissionError && error.isTransient) break
+
+          // Rejected by the server - retrying the same payload won't help
+          console.error("Queued contact submission rejected:", error)
+          this.outbox.remove(entry.id)
+          showNotification(CONTACT_CONFIG.MESSAGES.OUTBOX_REJECTED, "error")
+        }
+      }
+    } finally {
+      this.isFlushingOutbox = false
+      this.updateOutboxStatus()
+    }
+  }
+
+  setupRealTimeValidation() {
+    const debouncedValidation = debounce((field) => {
+      this.validateField(field)
+    }, CONTACT_CONFIG.VALIDATION_DELAY)
+
+    const fields = this.form.querySelectorAll("input, select, textarea")
+    fields.forEach((field) => {
+      field.addEventListener("input", () => {
+        debouncedValidation(field)
+      })
+    })
+  }
+
+  setupCharacterCounter(messageField) {
+    const formGroup = messageField.closest(".form-group")
+
+    // Create character counter
+    const counter = document.createElement("div")
+    counter.className = "character-counter"
+    counter.style.cssText = `
+      text-align: right;
+      font-size: 0.875rem;
+      color: #6c757d;
+      margin-top: 4px;
+    `
+
+    formGroup.appendChild(counter)
+
+    const updateCounter = () => {
+      const length = messageField.value.length
+      const remaining = CONTACT_CONFIG.MAX_MESSAGE_LENGTH - length
+
+      counter.textContent = `${length}/${CONTACT_CONFIG.MAX_MESSAGE_LENGTH} characters`
+
+      if (remaining < 50) {
+        counter.style.color = "#dc3545"
+      } else if (remaining < 100) {
+        counter.style.color = "#ffc107"
+      } else {
+        counter.style.color = "#6c757d"
+      }
+    }
+
+    messageField.addEventListener("input", updateCounter)
+    updateCounter() // Initial count
+  }
+
+  validateField(field) {
+    return this.validator.validateField(field)
+  }
+
+  async handleSubmit() {
+    if (this.isSubmitting) return
+
+    const formData = new FormData(this.form)
+    this.attachments?.appendTo(formData)
+
+    // Validate form
+    const isFormValid = await this.validator.validateForm(formData)
+    const areAttachmentsValid = this.attachments ? this.attachments.validate() : true
+
+    if (!isFormValid || !areAttachmentsValid) {
+      this.funnel.recordSubmit(false, this.validator.getErrorRules())
+      showNotification(CONTACT_CONFIG.MESSAGES.VALIDATION_ERROR, "error")
+      this.focusFirstError()
+      return
+    }
+
+    const spamCheck = this.spamGuard.check(formData)
+    if (!spamCheck.allowed) {
+      console.warn("Contact submission rejected:", spamCheck.reason)
+      this.analytics?.trackEvent("contact_form_blocked", { reason: spamCheck.reason })
+      this.funnel.recordSubmit(false)
+      this.handleError(spamCheck.message)
+      return
+    }
+
+    const idempotencyKey = generateId()
+
+    if (!navigator.onLine && this.queueSubmission(idempotencyKey, formData)) {
+      this.spamGuard.recordSubmission()
+      return
+    }
+
+    this.setSubmittingState(true)
+    let hasFieldErrors = false
+
+    try {
+      const response = await this.submitForm(formData, idempotencyKey)
+      this.spamGuard.recordSubmission()
+
+      if (response.success) {
+        this.analytics?.trackEvent("contact_form_subject_details", {
+          subject: formData.get("subject"),
+          ...this.getSubjectDetails(formData),
+        })
+        this.trackDeflectionOutcome()
+        this.handleSuccess(response, formData.get("subject"))
+        // After the form is reset, so typing into the refocused first field starts a new session
+        this.funnel.recordSubmit(true)
+        this.handleNewsletterOptIn(formData)
+      } else {
+        this.funnel.recordSubmit(false)
+        this.handleError(response.message || CONTACT_CONFIG.MESSAGES.ERROR)
+      }
+    } catch (error) {
+      console.error("Form submission error:", error)
+
+      if (error instanceof SubmissionError && error.fieldErrors.length > 0) {
+        hasFieldErrors = this.applyServerErrors(error.fieldErrors)
+      }
+
+      const isOffline = error instanceof SubmissionError && ["network", "timeout"].includes(error.type)
+
+      if (hasFieldErrors) {
+        this.funnel.recordSubmit(false, this.validator.getErrorRules())
+        showNotification(CONTACT_CONFIG.MESSAGES.VALIDATION_ERROR, "error")
+      } else if (isOffline && this.queueSubmission(idempotencyKey, formData)) {
+        this.spamGuard.recordSubmission()
+      } else {
+        this.funnel.recordSubmit(false)
+        this.handleError(this.getErrorMessage(error))
+      }
+    } finally {
+      this.setSubmittingState(false)
+    }
+
+    // Fields are disabled while submitting, so focus only once they are re-enabled
+    if (hasFieldErrors) {
+      this.focusFirstError()
+    }
+  }
+
+  /**
+   * Put a submission in the outbox and show the queued state.
+   * Returns false if the outbox could not store it.
+   */
+  queueSubmission(idempotencyKey, formData) {
+    // Files can't be stored offline; keep the form as is so nothing is silently dropped
+    if (this.attachments?.hasFiles()) return false
+    if (!this.outbox.add(idempotencyKey, formData)) return false
+
+    this.trackDeflectionOutcome()
+    this.funnel.recordSubmit(true)
+    showNotification(CONTACT_CONFIG.MESSAGES.QUEUED, "info")
+    this.form.reset()
+    this.clearValidationStates()
+    this.resetCharacterCounter()
+    this.attachments?.clear()
+    this.updateSubjectFields()
+    this.spamGuard.reset()
+    this.drafts?.clear()
+    this.deflection?.reset()
+    this.updateOutboxStatus()
+    return true
+  }
+
+  /**
+   * Submit the form, retrying transient failures with exponential backoff.
+   * The idempotency key is reused across retries so the server can drop duplicates.
+   */
+  async submitForm(formData, idempotencyKey = generateId()) {
+    await this.spamGuard.attachProofOfWork(formData, idempotencyKey)
+    let attempt = 0
+
+    // Decided from the payload, not the live form: queued messages never carry files
+    const withProgress = Array.from(formData.values()).some((value) => value instanceof File && value.name)
+
+    while (true) {
+      try {
+        return await this.sendRequest(formData, idempotencyKey, { withProgress })
+      } catch (error) {
+        // A server asking us to wait longer than we are willing to gets its rate-limit message shown instead
+        const canRetry =
+          error instanceof SubmissionError &&
+          error.isTransient &&
+          !(error.retryAfter > CONTACT_CONFIG.MAX_RETRY_DELAY)
+        if (!canRetry || attempt >= CONTACT_CONFIG.MAX_SUBMIT_RETRIES) {
+          throw error
+        }
+
+        await sleep(this.getRetryDelay(attempt, error))
+        attempt++
       }
+    }
+  }
+
+  /**
+   * Send a single request to the contact endpoint, aborting after SUBMISSION_TIMEOUT without progress.
+   * `withProgress` sends it through XHR to show upload progress on the submit button.
+   */
+  async sendRequest(formData, idempotencyKey, { withProgress = false } = {}) {
+    const controller = new AbortController()
+    let timeoutId = null
+    const restartTimeout = () => {
+      clearTimeout(timeoutId)
+      timeoutId = setTimeout(() => controller.abort(), CONTACT_CONFIG.SUBMISSION_TIMEOUT)
+    }
+    restartTimeout()
+
+    const request = {
+      method: "POST",
+      body: formData,
+      headers: {
+        Accept: "application/json",
+        "X-Requested-With": "XMLHttpRequest",
+        "Idempotency-Key": idempotencyKey,
+      },
+      signal: controller.signal,
+    }
+
+    let response
+    try {
+      // fetch can't report upload progress, so multipart uploads with files go through XHR
+      response = withProgress
+        ? await requestWithProgress(CONTACT_CONFIG.FORM_SUBMIT_URL, {
+            ...request,
+            // Large uploads on slow connections can take longer than the timeout; it only runs out when stalled
+            onUploadProgress: (percent) => {
+              restartTimeout()
+              this.updateUploadProgress(percent)
+            },
+          })
+        : await fetch(CONTACT_CONFIG.FORM_SUBMIT_URL, request)
     } catch (error) {
-      console.error("Form submission error:", error)
-      this.handleError(CONTACT_CONFIG.MESSAGES.NETWORK_ERROR)
+      if (error.name === "AbortError") {
+        throw new SubmissionError("timeout", CONTACT_CONFIG.MESSAGES.TIMEOUT_ERROR)
+      }
+      throw new SubmissionError("network", CONTACT_CONFIG.MESSAGES.NETWORK_ERROR)
     } finally {
-      this.setSubmittingState(false)
+      clearTimeout(timeoutId)
+    }
+
+    const body = await this.parseResponseBody(response)
+
+    if (response.ok) {
+      return { success: true, ...body }
+    }
+
+    const options = {
+      status: response.status,
+      fieldErrors: this.normalizeFieldErrors(body.errors),
+    }
+
+    if (response.status === 429) {
+      options.retryAfter = this.parseRetryAfter(response.headers.get("Retry-After"))
+      throw new SubmissionError("rate_limit", CONTACT_CONFIG.MESSAGES.RATE_LIMITED, options)
+    }
+
+    if (response.status >= 500) {
+      throw new SubmissionError("server", CONTACT_CONFIG.MESSAGES.SERVER_ERROR, options)
+    }
+
+    throw new SubmissionError("client", body.message || CONTACT_CONFIG.MESSAGES.ERROR, options)
+  }
+
+  async parseResponseBody(response) {
+    const contentType = response.headers.get("Content-Type") || ""
+    if (!contentType.includes("application/json")) return {}
+
+    try {
+      return (await response.json()) || {}
+    } catch (error) {
+      console.warn("Invalid JSON in contact form response:", error)
+      return {}
+    }
+  }
+
+  /**
+   * Accepts `{ field: message }` or `[{ field, message }]` and returns `[[field, message], ...]`
+   */
+  normalizeFieldErrors(errors) {
+    if (!errors) return []
+
+    if (Array.isArray(errors)) {
+      return errors.filter((error) => error && error.field).map((error) => [error.field, error.message])
+    }
+
+    return Object.entries(errors).map(([field, message]) => [field, Array.isArray(message) ? message[0] : message])
+  }
+
+  /**
+   * Retry-After may be a number of seconds or an HTTP date; returns milliseconds
+   */
+  parseRetryAfter(value) {
+    if (!value) return null
+
+    const seconds = Number(value)
+    if (!Number.isNaN(seconds)) return seconds * 1000
+
+    const date = Date.parse(value)
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+  }
+
+  getRetryDelay(attempt, error) {
+    if (error.retryAfter !== null) {
+      return error.retryAfter
+    }
+
+    const backoff = CONTACT_CONFIG.RETRY_BASE_DELAY * 2 ** attempt
+    const jitter = Math.random() * CONTACT_CONFIG.RETRY_BASE_DELAY
+    return Math.min(backoff + jitter, CONTACT_CONFIG.MAX_RETRY_DELAY)
+  }
+
+  getErrorMessage(error) {
+    if (error instanceof SubmissionError) return error.message
+    return CONTACT_CONFIG.MESSAGES.NETWORK_ERROR
+  }
+
+  /**
+   * Show server-side validation errors inline on the matching form groups.
+   * Returns true if at least one error could be mapped to a field.
+   */
+  applyServerErrors(fieldErrors) {
+    let applied = false
+
+    fieldErrors.forEach(([fieldName, message]) => {
+      const field = this.form.elements.namedItem(fieldName)
+      if (!field || !field.closest || !field.closest(".form-group")) return
+
+      this.validator.addError(field, message || CONTACT_CONFIG.MESSAGES.ERROR, "server")
+      applied = true
+    })
+
+    return applied
+  }
+
+  handleSuccess(response = {}, subject = null) {
+    const reference = getTicketReference(response)
+    const message = reference
+      ? CONTACT_CONFIG.MESSAGES.SUCCESS_WITH_REFERENCE.replace("{reference}", () => sanitizeInput(reference))
+      : CONTACT_CONFIG.MESSAGES.SUCCESS
+
+    showNotification(message, "success")
+    this.form.reset()
+    this.clearValidationStates()
+    this.resetCharacterCounter()
+    this.attachments?.clear()
+    this.updateSubjectFields()
+    this.spamGuard.reset()
+    this.drafts?.clear()
+    this.deflection?.reset()
+
+    // Move focus to the reference if there is one, otherwise back to the first field
+    if (reference) {
+      this.showTicketReference(reference, subject)
+      return
+    }
+
+    if (this.ticketConfirmation) {
+      this.ticketConfirmation.hidden = true
+    }
+
+    const firstField = this.form.querySelector("input, select, textarea")
+    if (firstField) {
+      firstField.focus()
+    }
+  }
+
+  /**
+   * Record that a message was sent even though help articles were suggested
+   */
+  trackDeflectionOutcome() {
+    const exposure = this.deflection?.getExposure()
+    if (exposure && exposure.suggestions_seen > 0) {
+      this.analytics?.trackEvent("contact_form_submitted_after_suggestions", exposure)
+    }
+  }
+
+  /**
+   * Subscribe to the newsletter with a separate double opt-in request when the box was ticked.
+   * Runs after the message itself was delivered, so a failure here never blocks the contact request.
+   */
+  async handleNewsletterOptIn(formData) {
+    if (!this.newsletter || !formData.get("newsletter")) return
+
+    const status = this.form.querySelector(".newsletter-status")
+    const consentLabel = this.form.querySelector('label[for="newsletter"]')
+
+    try {
+      const result = await this.newsletter.subscribe({
+        email: formData.get("email"),
+        name: formData.get("name"),
+        source: "contact_form",
+        wording: consentLabel?.textContent,
+      })
+
+      if (status) status.textContent = this.newsletter.getMessage(result.status)
+      this.analytics?.trackEvent("newsletter_subscribe_requested", { source: "contact_form", status: result.status })
+    } catch (error) {
+      console.warn("Newsletter subscription failed:", error)
+      if (status) status.textContent = error.message
+    }
+  }
+
+  resetCharacterCounter() {
+    const counter = this.form.querySelector(".character-counter")
+    if (counter) {
+      counter.textContent = `0/${CONTACT_CONFIG.MAX_MESSAGE_LENGTH} characters`
+      counter.style.color = "#6c757d"
+    }
+  }
+
+  /**
+   * Messages can come from the server, so they are shown as text
+   */
+  handleError(message) {
+    showNotification(sanitizeInput(message), "error")
+  }
+
+  setSubmittingState(isSubmitting) {
+    this.isSubmitting = isSubmitting
+
+    if (this.submitButton) {
+      this.submitButton.disabled = isSubmitting
+
+      if (isSubmitting) {
+        this.submitButton.classList.add("loading")
+        this.submitButton.textContent = "Sending..."
+      } else {
+        this.submitButton.classList.remove("loading")
+        this.submitButton.textContent = "Send Message"
+      }
+    }
+
+    // Disable form fields during submission
+    const fields = this.form.querySelectorAll("input, select, textarea")
+    fields.forEach((field) => {
+      field.disabled = isSubmitting
+    })
+  }
+
+  updateUploadProgress(percent) {
+    if (this.submitButton && this.isSubmitting) {
+      this.submitButton.textContent = percent < 100 ? `Sending... ${percent}%` : "Sending..."
+    }
+  }
+
+  clearValidationStates(container = this.form) {
+    const formGroups = container.querySelectorAll(".form-group")
+    formGroups.forEach((group) => {
+      group.classList.remove("error", "success")
+    })
+
+    const fields = container.querySelectorAll("input, select, textarea")
+    fields.forEach((field) => {
+      field.removeAttribute("aria-invalid")
+      this.validator.errors.delete(field.name)
+      this.validator.errorRules.delete(field.name)
+    })
+
+    const errorMessages = container.querySelectorAll(".error-message")
+    errorMessages.forEach((error) => {
+      error.textContent = ""
+    })
+  }
+
+  focusFirstError() {
+    const firstErrorField = this.form.querySelector(
+      ".form-group.error input, .form-group.error select, .form-group.error textarea",
+    )
+    if (firstErrorField) {
+      firstErrorField.focus()
+    }
+  }
+}
+
+// ===== TICKET STATUS LOOKUP =====
+class TicketStatusLookup {
+  constructor(tickets = new TicketStore()) {
+    this.form = document.querySelector(".ticket-lookup-form")
+    this.result = document.querySelector(".ticket-status-result")
+    this.recentList = document.querySelector(".recent-tickets-list")
+    this.tickets = tickets
+    this.isLoading = false
+
+    if (this.form) {
+      this.validator = new ContactFormValidator(this.form, TICKET_LOOKUP_SCHEMA)
+      this.init()
+    }
+  }
+
+  init() {
+    this.form.addEventListener("submit", (e) => {
+      e.preventDefault()
+      this.handleSubmit()
+    })
+
+    this.recentList?.addEventListener("click", (e) => {
+      const button = e.target.closest("button[data-reference]")
+      if (!button) return
+
+      this.form.elements.reference.value = button.dataset.reference
+      this.form.elements.email.focus()
+    })
+
+    document.addEventListener("contact:ticket-created", () => this.renderRecent())
+    this.renderRecent()
+  }
+
+  renderRecent() {
+    if (!this.recentList) return
+
+    const tickets = this.tickets.getAll()
+    this.recentList.closest(".recent-tickets").hidden = tickets.length === 0
+
+    // Built with the DOM so nothing in a stored reference is parsed as markup
+    this.recentList.replaceChildren(
+      ...tickets.map((ticket) => {
+        const item = document.createElement("li")
+        const button = document.createElement("button")
+        button.type = "button"
+        button.className = "recent-ticket"
+        button.dataset.reference = ticket.reference
+
+        const reference = document.createElement("span")
+        reference.className = "recent-ticket-reference"
+        reference.textContent = ticket.reference
+
+        const date = document.createElement("span")
+        date.className = "recent-ticket-date"
+        date.textContent = new Date(ticket.createdAt).toLocaleDateString()
+
+        button.append(reference, date)
+        item.appendChild(button)
+        return item
+      }),
+    )
+  }
+
+  async handleSubmit() {
+    if (this.isLoading) return
+
+    const formData = new FormData(this.form)
+    if (!(await this.validator.validateForm(formData))) {
+      this.form.querySelector(".form-group.error input")?.focus()
+      return
+    }
+
+    this.setLoadingState(true)
+
+    try {
+      const status = await this.fetchStatus(formData.get("reference").trim().toUpperCase(), formData.get("email").trim())
+      this.renderStatus(status)
+    } catch (error) {
+      this.renderError(error.message)
+    } finally {
+      this.setLoadingState(false)
+    }
+  }
+
+  async fetchStatus(reference, email) {
+    const controller = new AbortController()
+    const timeoutId = setTimeout(() => controller.abort(), CONTACT_CONFIG.SUBMISSION_TIMEOUT)
+
+    let response
+    try {
+      // POST so the email address doesn't end up in URLs or server logs
+      response = await fetch(CONTACT_CONFIG.TICKET_STATUS_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Accept: "application/json" },
+        body: JSON.stringify({ reference, email }),
+        signal: controller.signal,
+      })
+    } catch (error) {
+      throw new Error(CONTACT_CONFIG.MESSAGES.TICKET_LOOKUP_ERROR)
+    } finally {
+      clearTimeout(timeoutId)
+    }
+
+    if (response.status === 404) {
+      throw new Error(CONTACT_CONFIG.MESSAGES.TICKET_NOT_FOUND)
+    }
+    if (!response.ok) {
+      throw new Error(CONTACT_CONFIG.MESSAGES.TICKET_LOOKUP_ERROR)
+    }
+
+    let body
+    try {
+      body = await response.json()
+    } catch (error) {
+      throw new Error(CONTACT_CONFIG.MESSAGES.TICKET_LOOKUP_ERROR)
+    }
+    return { reference, ...body }
+  }
+
+  renderStatus({ reference, status, updated_at: updatedAt }) {
+    const steps = [
+      ["received", "Received"],
+      ["in_progress", "In progress"],
+      ["resolved", "Resolved"],
+    ]
+    // A status this page doesn't know yet is shown as unknown, with no step marked
+    const currentIndex = steps.findIndex(([key]) => key === status)
+    const statusText =
+      currentIndex >= 0
+        ? `is <strong>${steps[currentIndex][1].toLowerCase()}</strong>`
+        : "has an <strong>unknown</strong> status"
+    // Left out when the date is missing or doesn't parse
+    const updated = updatedAt ? new Date(updatedAt) : null
+    const updatedText = updated && !Number.isNaN(updated.getTime()) ? `, last updated ${updated.toLocaleString()}` : ""
+
+    this.result.innerHTML = `
+      <p class="ticket-status-summary">
+        Request <strong>${sanitizeInput(reference)}</strong> ${statusText}${updatedText}.
+      </p>
+      <ol class="ticket-status-steps">
+        ${steps
+          .map(
+            ([key, label], index) => `
+              <li class="ticket-status-step${index <= currentIndex ? " complete" : ""}"${
+                index === currentIndex ? ' aria-current="step"' : ""
+              }>${label}</li>
+            `,
+          )
+          .join("")}
+      </ol>
+    `
+    this.result.hidden = false
+  }
+
+  renderError(message) {
+    this.result.innerHTML = `<p class="ticket-status-error">${sanitizeInput(message)}</p>`
+    this.result.hidden = false
+  }
+
+  setLoadingState(isLoading) {
+    this.isLoading = isLoading
+    const button = this.form.querySelector('button[type="submit"]')
+    if (button) {
+      button.disabled = isLoading
+      button.classList.toggle("loading", isLoading)
+    }
+  }
+}
+
+// ===== SEARCH FUNCTIONALITY =====
+class HelpSearchHandler {
+  constructor(analytics = null) {
+    this.searchInput = document.querySelector(".search-input")
+    this.searchButton = document.querySelector(".search-btn")
+    this.resultsSection = document.querySelector(".search-results")
+    this.resultsContent = this.resultsSection?.querySelector(".search-results-content")
+    this.suggestionList = document.querySelector(".search-suggestions")
+    this.suggestionStatus = document.querySelector(".search-suggestions-status")
+    this.analytics = analytics
+    this.index = null
+    this.category = null
+    this.suggestions = []
+    this.activeIndex = -1
+    this.searchStore = new SearchAnalyticsStore()
+    this.lastSearch = null
+
+    if (this.searchInput && this.searchButton) {
+      this.init()
+    }
+  }
+
+  init() {
+    if (typeof HelpSearchIndex !== "undefined") {
+      this.index = HelpSearchIndex.fromPage()
     }
+
+    this.bindEvents()
   }
 
-  async submitForm(formData) {
-    // Simulate API call - replace with actual implementation
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        // Simulate success response
-        resolve({ success: true })
-      }, 2000)
+  bindEvents() {
+    // Search button click
+    this.searchButton.addEventListener("click", (e) => {
+      e.preventDefault()
+      this.performSearch()
+    })
+
+    // Keyboard handling for the search combobox
+    this.searchInput.addEventListener("keydown", (e) => this.handleKeydown(e))
+
+    // Real-time search suggestions
+    const debouncedSearch = debounce(() => {
+      this.showSearchSuggestions()
+    }, CONTACT_CONFIG.SEARCH.SUGGESTION_DELAY)
+
+    this.searchInput.addEventListener("input", debouncedSearch)
+
+    // Recent searches when focusing an empty box
+    this.searchInput.addEventListener("focus", () => {
+      if (!this.searchInput.value.trim()) this.showSearchSuggestions()
+    })
+    this.searchInput.addEventListener("blur", () => this.hideSuggestions())
+
+    // The search log is analytics data and recent searches are functional; drop each when its consent is withdrawn
+    document.addEventListener("consent:change", (e) => {
+      if (!e.detail.categories.functional) this.clearRecentSearches()
+      if (e.detail.categories.analytics) return
+      this.searchStore.clear()
+      this.lastSearch = null
     })
 
-    // Actual implementation would look like:
-    /*
-    const response = await fetch(CONTACT_CONFIG.FORM_SUBMIT_URL, {
-      method: 'POST',
-      body: formData,
-      headers: {
-        'X-Requested-With': 'XMLHttpRequest'
+    if (this.suggestionList) {
+      // Keep focus in the input while clicking an option
+      this.suggestionList.addEventListener("mousedown", (e) => e.preventDefault())
+      this.suggestionList.addEventListener("click", (e) => {
+        const option = e.target.closest('[role="option"]')
+        if (option) this.selectSuggestion(Number(option.dataset.index))
+      })
+    }
+
+    // Open FAQ entries picked from the results, and re-run "Did you mean" corrections
+    this.resultsContent?.addEventListener("click", (e) => {
+      const correction = e.target.closest(".search-correction")
+      if (correction) {
+        this.searchInput.value = correction.dataset.query
+        this.performSearch()
+        this.searchInput.focus()
+        return
+      }
+
+      const result = e.target.closest(".search-result-link")
+      if (result) {
+        this.trackResultClick(result.dataset.resultId, result.dataset.resultType, Number(result.dataset.position))
       }
+
+      const link = e.target.closest("a[data-result-type='faq']")
+      if (!link) return
+
+      const item = document.getElementById(link.dataset.resultId)
+      if (item) item.open = true
     })
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`)
+  }
+
+  handleKeydown(e) {
+    const isOpen = this.suggestionList && !this.suggestionList.hidden
+
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault()
+        if (!isOpen) {
+          this.showSearchSuggestions()
+        } else {
+          this.setActiveSuggestion(this.activeIndex + 1)
+        }
+        break
+      case "ArrowUp":
+        if (!isOpen) return
+        e.preventDefault()
+        this.setActiveSuggestion(this.activeIndex - 1)
+        break
+      case "Enter":
+        e.preventDefault()
+        if (isOpen && this.activeIndex >= 0) {
+          this.selectSuggestion(this.activeIndex)
+        } else {
+          this.hideSuggestions()
+          this.performSearch()
+        }
+        break
+      case "Escape":
+        if (isOpen) {
+          e.preventDefault()
+          this.hideSuggestions()
+        } else if (this.searchInput.value) {
+          e.preventDefault()
+          this.searchInput.value = ""
+        }
+        break
     }
-    
-    return await response.json()
-    */
   }
 
-  handleSuccess() {
-    showNotification(CONTACT_CONFIG.MESSAGES.SUCCESS, "success")
-    this.form.reset()
-    this.clearValidationStates()
+  /**
+   * Search for the input's value. `track: false` skips analytics, for views restored from the URL.
+   */
+  performSearch({ track = true } = {}) {
+    const query = this.searchInput.value.trim()
 
-    // Update character counter
-    const counter = this.form.querySelector(".character-counter")
-    if (counter) {
-      counter.textContent = `0/${CONTACT_CONFIG.MAX_MESSAGE_LENGTH} characters`
-      counter.style.color = "#6c757d"
+    if (!query) {
+      showNotification("Please enter a search term", "error")
+      return
     }
 
-    // Focus first field for accessibility
-    const firstField = this.form.querySelector("input, select, textarea")
-    if (firstField) {
-      firstField.focus()
+    if (!this.index || !this.resultsContent) {
+      showNotification(`Searching for: "${sanitizeInput(query)}"`, "info")
+      return
     }
+
+    const results = this.index.search(query, { category: this.category })
+    this.saveRecentSearch(query)
+    this.renderResults(query, results)
+    if (track) this.trackSearch(query, results.length)
+
+    document.dispatchEvent(
+      new CustomEvent("help:search", { detail: { query, category: this.category, resultCount: results.length } }),
+    )
   }
 
-  handleError(message) {
-    showNotification(message, "error")
+  /**
+   * Restrict results to one category (null for all), re-running the current search if one is shown
+   */
+  setCategory(category, { refresh = true } = {}) {
+    this.category = category || null
+
+    // The category change is tracked on its own, so the refreshed search isn't recorded again
+    if (refresh && this.resultsSection && !this.resultsSection.hidden && this.searchInput.value.trim()) {
+      this.performSearch({ track: false })
+    }
   }
 
-  setSubmittingState(isSubmitting) {
-    this.isSubmitting = isSubmitting
+  clearResults() {
+    if (!this.resultsSection) return
 
-    if (this.submitButton) {
-      this.submitButton.disabled = isSubmitting
+    this.resultsSection.hidden = true
+    if (this.resultsContent) this.resultsContent.innerHTML = ""
+  }
 
-      if (isSubmitting) {
-        this.submitButton.classList.add("loading")
-        this.submitButton.textContent = "Sending..."
-      } else {
-        this.submitButton.classList.remove("loading")
-        this.submitButton.textContent = "Send Message"
-      }
+  renderResults(query, results) {
+    const safeQuery = sanitizeInput(query)
+    const categoryTitle = this.category ? this.getCategoryTitle(this.category) : null
+    const scope = categoryTitle ? ` in ${sanitizeInput(categoryTitle)}` : ""
+
+    if (results.length === 0) {
+      const correction = this.index.suggestCorrection(query)
+      const didYouMean = correction
+        ? `<p>Did you mean <button type="button" class="search-correction" data-query="${sanitizeInput(correction)}">${sanitizeInput(correction)}</button>?</p>`
+        : ""
+
+      this.resultsContent.innerHTML = `
+        <div class="search-no-results">
+          <p>No results for "<strong>${safeQuery}</strong>"${scope}.</p>
+          ${didYouMean}
+          <p>Try different words, or <a href="contact.html">contact our support team</a> and we'll help you directly.</p>
+        </div>
+      `
+    } else {
+      const label = results.length === 1 ? "1 result" : `${results.length} results`
+
+      this.resultsContent.innerHTML = `
+        <p class="search-results-count">${label} for "<strong>${safeQuery}</strong>"${scope}</p>
+        <ol class="search-results-list">
+          ${results.map((result, index) => this.renderResult(result, index)).join("")}
+        </ol>
+      `
     }
 
-    // Disable form fields during submission
-    const fields = this.form.querySelectorAll("input, select, textarea")
-    fields.forEach((field) => {
-      field.disabled = isSubmitting
-    })
+    this.resultsSection.hidden = false
+    this.resultsSection.scrollIntoView({ behavior: "smooth", block: "start" })
   }
 
-  clearValidationStates() {
-    const formGroups = this.form.querySelectorAll(".form-group")
-    formGroups.forEach((group) => {
-      group.classList.remove("error", "success")
-    })
+  getCategoryTitle(category) {
+    return typeof HELP_CONTENT !== "undefined" ? HELP_CONTENT.getCategory(category)?.title || category : category
+  }
 
-    const fields = this.form.querySelectorAll("input, select, textarea")
-    fields.forEach((field) => {
-      field.removeAttribute("aria-invalid")
-    })
+  renderResult({ document, terms }, index) {
+    return `
+      <li class="search-result">
+        <a href="${document.url}" class="search-result-link"
+          data-result-id="${document.id}" data-result-type="${document.type}" data-position="${index + 1}">
+          ${highlightMatches(document.title, terms)}
+        </a>
+        <span class="search-result-category">${sanitizeInput(document.categoryTitle)}</span>
+        <p class="search-result-snippet">${highlightMatches(this.getSnippet(document.body, terms), terms)}</p>
+      </li>
+    `
+  }
 
-    const errorMessages = this.form.querySelectorAll(".error-message")
-    errorMessages.forEach((error) => {
-      error.textContent = ""
-    })
+  /**
+   * A short excerpt of the body around the first matched term
+   */
+  getSnippet(text, terms, length = 160) {
+    if (text.length <= length) return text
+
+    const lower = text.toLowerCase()
+    const firstMatch = terms.map((term) => lower.indexOf(term)).filter((index) => index >= 0)
+    const start = firstMatch.length > 0 ? Math.max(0, Math.min(...firstMatch) - 40) : 0
+    const excerpt = text.slice(start, start + length).trim()
+
+    return `${start > 0 ? "..." : ""}${excerpt}${start + length < text.length ? "..." : ""}`
   }
 
-  focusFirstError() {
-    const firstErrorField = this.form.querySelector(
-      ".form-group.error input, .form-group.error select, .form-group.error textarea",
-    )
-    if (firstErrorField) {
-      firstErrorField.focus()
+  getRecentSearches() {
+    try {
+      const searches = JSON.parse(localStorage.getItem(CONTACT_CONFIG.SEARCH.RECENT_SEARCHES_STORAGE_KEY))
+      return Array.isArray(searches) ? searches : []
+    } catch (error) {
+      return []
     }
   }
-}
 
-// ===== SEARCH FUNCTIONALITY =====
-class HelpSearchHandler {
-  constructor() {
-    this.searchInput = document.querySelector(".search-input")
-    this.searchButton = document.querySelector(".search-btn")
+  /**
+   * Kept only with functional cookies allowed, with emails and phone numbers stripped
+   */
+  saveRecentSearch(rawQuery) {
+    if (!hasCookieConsent("functional")) return
 
-    if (this.searchInput && this.searchButton) {
-      this.init()
+    const query = stripPii(rawQuery)
+    const searches = this.getRecentSearches().filter((search) => search.toLowerCase() !== query.toLowerCase())
+    searches.unshift(query)
+
+    try {
+      localStorage.setItem(
+        CONTACT_CONFIG.SEARCH.RECENT_SEARCHES_STORAGE_KEY,
+        JSON.stringify(searches.slice(0, CONTACT_CONFIG.SEARCH.MAX_RECENT_SEARCHES)),
+      )
+    } catch (error) {
+      console.warn("Unable to save recent search:", error)
     }
   }
 
-  init() {
-    this.bindEvents()
+  clearRecentSearches() {
+    try {
+      localStorage.removeItem(CONTACT_CONFIG.SEARCH.RECENT_SEARCHES_STORAGE_KEY)
+    } catch (error) {
+      // Nothing stored
+    }
   }
 
-  bindEvents() {
-    // Search button click
-    this.searchButton.addEventListener("click", (e) => {
-      e.preventDefault()
-      this.performSearch()
+  /**
+   * Build the suggestion list: recent searches for an empty query, otherwise
+   * matching documents grouped by help category
+   */
+  getSuggestions(query) {
+    if (!query) {
+      return this.getRecentSearches().map((search) => ({ type: "recent", label: search, group: "Recent searches" }))
+    }
+
+    const results = this.index.search(query, { limit: CONTACT_CONFIG.SEARCH.MAX_SUGGESTIONS })
+    const groups = new Map()
+
+    results.forEach(({ document, terms }) => {
+      const category = typeof HELP_CONTENT !== "undefined" ? HELP_CONTENT.getCategory(document.category) : null
+      const group = category?.title || document.categoryTitle || "Other"
+
+      if (!groups.has(group)) groups.set(group, [])
+      groups.get(group).push({ type: document.type, label: document.title, document, terms, group })
     })
 
-    // Enter key in search input
-    this.searchInput.addEventListener("keypress", (e) => {
-      if (e.key === "Enter") {
-        e.preventDefault()
-        this.performSearch()
+    // Keep the groups in the order of their best result, and options contiguous within a group
+    return Array.from(groups.values()).flat()
+  }
+
+  showSearchSuggestions() {
+    if (!this.suggestionList || !this.index) return
+
+    const query = this.searchInput.value.trim()
+    this.suggestions = this.getSuggestions(query)
+    this.activeIndex = -1
+
+    if (this.suggestions.length === 0) {
+      this.hideSuggestions()
+      this.announce(query ? "No suggestions" : "")
+      return
+    }
+
+    this.renderSuggestions()
+    this.suggestionList.hidden = false
+    this.searchInput.setAttribute("aria-expanded", "true")
+    this.searchInput.removeAttribute("aria-activedescendant")
+
+    const count = this.suggestions.length
+    this.announce(`${count} ${count === 1 ? "suggestion" : "suggestions"} available. Use up and down arrows to review.`)
+  }
+
+  renderSuggestions() {
+    let html = ""
+    let currentGroup = null
+    let groupIndex = 0
+
+    this.suggestions.forEach((suggestion, index) => {
+      if (suggestion.group !== currentGroup) {
+        if (currentGroup !== null) html += "</div>"
+        currentGroup = suggestion.group
+        groupIndex++
+        html += `
+          <div role="group" class="search-suggestion-group" aria-labelledby="search-suggestion-group-${groupIndex}">
+            <div class="search-suggestion-group-label" id="search-suggestion-group-${groupIndex}" role="presentation">
+              ${sanitizeInput(suggestion.group)}
+            </div>
+        `
       }
+
+      const label = suggestion.terms ? highlightMatches(suggestion.label, suggestion.terms) : sanitizeInput(suggestion.label)
+      const typeLabel = suggestion.type === "faq" ? '<span class="search-suggestion-type">FAQ</span>' : ""
+
+      html += `
+        <div role="option" id="search-suggestion-${index}" class="search-suggestion" data-index="${index}" aria-selected="false">
+          ${suggestion.type === "recent" ? '<span class="search-suggestion-icon" aria-hidden="true">🕘</span>' : ""}
+          <span class="search-suggestion-label">${label}</span>
+          ${typeLabel}
+        </div>
+      `
     })
 
-    // Real-time search suggestions (if needed)
-    const debouncedSearch = debounce(() => {
-      this.showSearchSuggestions()
-    }, 300)
+    this.suggestionList.innerHTML = `${html}</div>`
+  }
 
-    this.searchInput.addEventListener("input", debouncedSearch)
+  setActiveSuggestion(index) {
+    const options = this.suggestionList.querySelectorAll('[role="option"]')
+    if (options.length === 0) return
+
+    // Wrap around at both ends
+    this.activeIndex = (index + options.length) % options.length
+
+    options.forEach((option, i) => {
+      const isActive = i === this.activeIndex
+      option.setAttribute("aria-selected", String(isActive))
+      option.classList.toggle("active", isActive)
+    })
+
+    const active = options[this.activeIndex]
+    this.searchInput.setAttribute("aria-activedescendant", active.id)
+    active.scrollIntoView({ block: "nearest" })
   }
 
-  performSearch() {
-    const query = this.searchInput.value.trim()
+  selectSuggestion(index) {
+    const suggestion = this.suggestions[index]
+    if (!suggestion) return
 
-    if (!query) {
-      showNotification("Please enter a search term", "error")
+    this.hideSuggestions()
+
+    if (suggestion.type === "recent") {
+      this.searchInput.value = suggestion.label
+      this.performSearch()
       return
     }
 
-    // Simulate search (replace with actual search implementation)
-    showNotification(`Searching for: "${query}"`, "info")
+    const query = this.searchInput.value.trim()
+    const documents = this.suggestions.filter((option) => option.document)
+    this.saveRecentSearch(query)
+    this.trackSearch(query, documents.length, "typeahead")
+    this.trackResultClick(suggestion.document.id, suggestion.document.type, documents.indexOf(suggestion) + 1)
+    this.openDocument(suggestion.document)
+  }
 
-    // In a real implementation, you would:
-    // 1. Send query to search API
-    // 2. Display results
-    // 3. Handle no results case
+  trackSearch(query, resultCount, source = "search") {
+    if (!this.analytics?.hasConsent()) return
+
+    const search = this.searchStore.recordSearch(query, resultCount, source)
+    this.lastSearch = { ...search, startedAt: Date.now() }
+    this.analytics?.trackSearch(query, resultCount, source)
   }
 
-  showSearchSuggestions() {
-    // Implement search suggestions if needed
-    // This could show a dropdown with suggested help topics
+  /**
+   * Record a result opened from the last search, with its 1-based position and the time since the search
+   */
+  trackResultClick(resultId, resultType, position) {
+    if (!this.lastSearch) return
+
+    const timeToClick = Date.now() - this.lastSearch.startedAt
+    this.searchStore.recordClick(this.lastSearch.id, { resultId, position, timeToClick })
+
+    this.analytics?.trackEvent("help_search_result_clicked", {
+      query: this.lastSearch.query,
+      result_id: resultId,
+      result_type: resultType,
+      position,
+      time_to_click_ms: timeToClick,
+      source: this.lastSearch.source,
+    })
+  }
+
+  /**
+   * Debug report: top queries, zero-result queries and click-through rate
+   */
+  renderInsights() {
+    const summary = this.searchStore.getSummary()
+    if (summary.totalSearches === 0) {
+      return "<p>No searches recorded yet.</p>"
+    }
+
+    const rows = (entries, columns) =>
+      entries.length > 0
+        ? entries
+            .map((entry) => `<tr>${columns.map((column) => `<td>${sanitizeInput(String(entry[column]))}</td>`).join("")}</tr>`)
+            .join("")
+        : `<tr><td colspan="${columns.length}">None</td></tr>`
+
+    return `
+      <p>${summary.totalSearches} searches, ${Math.round(summary.clickThroughRate * 100)}% click-through rate</p>
+      <table>
+        <caption>Top queries</caption>
+        <thead><tr><th scope="col">Query</th><th scope="col">Searches</th><th scope="col">Clicks</th></tr></thead>
+        <tbody>${rows(summary.topQueries, ["query", "count", "clicks"])}</tbody>
+      </table>
+      <table>
+        <caption>Zero-result queries</caption>
+        <thead><tr><th scope="col">Query</th><th scope="col">Searches</th></tr></thead>
+        <tbody>${rows(summary.zeroResultQueries, ["query", "zeroResults"])}</tbody>
+      </table>
+    `
+  }
+
+  /**
+   * Go to a help document on this page, expanding it if it is an FAQ entry
+   */
+  openDocument(helpDocument) {
+    // Let the article reader take over when the page has one
+    if (helpDocument.type === "article") {
+      const opened = !document.dispatchEvent(
+        new CustomEvent("help:open-article", { detail: { id: helpDocument.id }, cancelable: true }),
+      )
+      if (opened) return
+    }
+
+    const target = document.getElementById(helpDocument.id)
+
+    if (helpDocument.type === "faq" && target) {
+      target.open = true
+    }
+
+    if (target) {
+      target.scrollIntoView({ behavior: "smooth", block: "start" })
+      target.querySelector("summary")?.focus()
+      history.pushState?.(null, "", helpDocument.url)
+    } else {
+      window.location.href = helpDocument.url
+    }
+  }
+
+  hideSuggestions() {
+    if (!this.suggestionList) return
+
+    this.suggestionList.hidden = true
+    this.activeIndex = -1
+    this.searchInput.setAttribute("aria-expanded", "false")
+    this.searchInput.removeAttribute("aria-activedescendant")
+  }
+
+  announce(message) {
+    if (this.suggestionStatus) {
+      this.suggestionStatus.textContent = message
+    }
   }
 }
 
@@ -630,53 +3342,177 @@ class AccessibilityEnhancer {
   }
 }
 
+// ===== DEBUG TOOLS =====
+
+/**
+ * Floating panel of local reports, shown only in debug mode.
+ * Each report is `{ title, render, onClear }`, where `render` returns HTML.
+ */
+class DebugPanel {
+  constructor() {
+    this.reports = []
+    this.element = document.createElement("aside")
+    this.element.className = "debug-panel"
+    this.element.setAttribute("aria-label", "Debug tools")
+    this.element.innerHTML = `
+      <details>
+        <summary>Debug tools</summary>
+        <div class="debug-panel-reports"></div>
+        <button type="button" class="debug-panel-refresh">Refresh</button>
+      </details>
+    `
+
+    this.addStyles()
+    document.body.appendChild(this.element)
+
+    this.element.querySelector(".debug-panel-refresh").addEventListener("click", () => this.render())
+    this.element.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-report-clear]")
+      if (!button) return
+
+      this.reports[Number(button.dataset.reportClear)]?.onClear?.()
+      this.render()
+    })
+  }
+
+  addReport(report) {
+    this.reports.push(report)
+    this.render()
+  }
+
+  render() {
+    this.element.querySelector(".debug-panel-reports").innerHTML = this.reports
+      .map(
+        (report, index) => `
+          <section class="debug-report">
+            <h2>${sanitizeInput(report.title)}</h2>
+            ${report.render()}
+            ${report.onClear ? `<button type="button" data-report-clear="${index}">Clear data</button>` : ""}
+          </section>
+        `,
+      )
+      .join("")
+  }
+
+  addStyles() {
+    if (document.querySelector("#debug-panel-styles")) return
+
+    const style = document.createElement("style")
+    style.id = "debug-panel-styles"
+    style.textContent = `
+      .debug-panel {
+        position: fixed;
+        bottom: 20px;
+        left: 20px;
+        max-width: 420px;
+        max-height: 70vh;
+        overflow: auto;
+        background: #fff;
+        border: 1px solid #ddd;
+        border-radius: 8px;
+        box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        padding: 12px 16px;
+        font-size: 13px;
+        z-index: 9999;
+      }
+      .debug-panel summary {
+        cursor: pointer;
+        font-weight: 600;
+      }
+      .debug-report h2 {
+        font-size: 15px;
+        margin: 12px 0 6px;
+      }
+      .debug-report table {
+        width: 100%;
+        border-collapse: collapse;
+        margin-bottom: 8px;
+      }
+      .debug-report caption {
+        text-align: left;
+        font-weight: 600;
+        padding: 4px 0;
+      }
+      .debug-report th,
+      .debug-report td {
+        text-align: left;
+        padding: 2px 6px;
+        border-bottom: 1px solid #eee;
+      }
+    `
+    document.head.appendChild(style)
+  }
+}
+
 // ===== ANALYTICS TRACKING =====
+
+/**
+ * Contact and help-center events. They are built and delivered by the site-wide AnalyticsHandler
+ * (script.js), so they share its consent check, session and event schema (analytics-events.js).
+ */
 class ContactAnalytics {
-  constructor() {
+  constructor(handler = null) {
     this.events = []
+    this.handler = handler
+
+    document.addEventListener("consent:change", (e) => {
+      if (!e.detail.categories.analytics) this.events = []
+    })
   }
 
-  trackEvent(eventName, properties = {}) {
-    const event = {
-      name: eventName,
-      properties: {
-        ...properties,
-        timestamp: Date.now(),
-        page: "contact",
-        url: window.location.href,
-      },
-    }
+  getHandler() {
+    return this.handler || window.FamilyHubApp?.getComponent("analyticsHandler") || null
+  }
 
-    this.events.push(event)
-    console.log("Contact Event:", event)
+  /**
+   * Whether the visitor has accepted analytics cookies; nothing is collected until they have
+   */
+  hasConsent() {
+    return Boolean(this.getHandler()?.isEnabled)
+  }
 
-    // In production, send to analytics service
-    // this.sendToAnalytics(event)
+  trackEvent(eventName, properties = {}) {
+    const event = this.getHandler()?.trackEvent(eventName, properties)
+    if (event) this.events.push(event)
   }
 
   trackFormStart() {
     this.trackEvent("contact_form_started")
   }
 
+  /**
+   * `errors` are `{ field, rule }` pairs; messages are left out as server errors may quote what was typed
+   */
   trackFormSubmit(success, errors = []) {
     this.trackEvent("contact_form_submitted", {
       success,
       error_count: errors.length,
-      errors: errors.map(([field, message]) => ({ field, message })),
+      errors: errors.map(({ field, rule }) => ({ field, rule })),
     })
   }
 
-  trackFieldValidation(fieldName, isValid) {
+  trackFieldValidation(fieldName, isValid, rule = null) {
     this.trackEvent("contact_form_field_validated", {
       field: fieldName,
       valid: isValid,
+      rule,
     })
   }
 
-  trackSearch(query) {
+  /**
+   * Send queued events now, as a beacon so they survive the page being unloaded
+   */
+  flush() {
+    this.getHandler()?.flush({ useBeacon: true })
+  }
+
+  trackSearch(query, resultCount, source = "search") {
     this.trackEvent("help_search_performed", {
-      query: query.toLowerCase(),
+      query: stripPii(query).trim().toLowerCase(),
       query_length: query.length,
+      result_count: resultCount,
+      zero_results: resultCount === 0,
+      source,
     })
   }
 }
@@ -690,35 +3526,60 @@ class ContactPageApp {
 
   init() {
     try {
-      // Initialize components
-      this.components.formHandler = new ContactFormHandler()
-      this.components.searchHandler = new HelpSearchHandler()
-      this.components.accessibilityEnhancer = new AccessibilityEnhancer()
-
-      // Track page load
-      this.analytics.trackEvent("contact_page_loaded")
-
-      // Track form interaction start
       const form = document.querySelector(".contact-form")
+
+      // Initialize components
       if (form) {
-        const fields = form.querySelectorAll("input, select, textarea")
-        fields.forEach((field) => {
-          field.addEventListener(
-            "focus",
-            () => {
-              this.analytics.trackFormStart()
-            },
-            { once: true },
-          )
-        })
+        this.components.formHandler = new ContactFormHandler(this.analytics)
+        this.components.ticketStatusLookup = new TicketStatusLookup()
+      }
+      this.components.searchHandler = new HelpSearchHandler(this.analytics)
+      if (typeof FaqController !== "undefined" && document.querySelector(".faq-list")) {
+        this.components.faqController = new FaqController(this.analytics)
+      }
+      if (typeof HelpCenterFilter !== "undefined" && document.querySelector(".category-filters")) {
+        this.components.helpCenterFilter = new HelpCenterFilter(this.analytics, this.components.searchHandler)
+      }
+      if (typeof HelpArticleViewer !== "undefined" && document.querySelector(".article-viewer")) {
+        this.components.articleViewer = new HelpArticleViewer(this.analytics, this.components.helpCenterFilter)
       }
 
+      if (isDebugMode()) {
+        this.setupDebugTools()
+      }
+      this.components.accessibilityEnhancer = new AccessibilityEnhancer()
+
+      // Track page load; the form funnel tracks the form from here on
+      this.analytics.trackEvent(form ? "contact_page_loaded" : "help_page_loaded")
+
       console.log("Contact page initialized successfully")
     } catch (error) {
       console.error("Failed to initialize contact page:", error)
     }
   }
 
+  setupDebugTools() {
+    this.components.debugPanel = new DebugPanel()
+
+    const searchHandler = this.components.searchHandler
+    if (searchHandler?.searchInput) {
+      this.components.debugPanel.addReport({
+        title: "Help search",
+        render: () => searchHandler.renderInsights(),
+        onClear: () => searchHandler.searchStore.clear(),
+      })
+    }
+
+    const funnel = this.components.formHandler?.funnel
+    if (funnel) {
+      this.components.debugPanel.addReport({
+        title: "Contact form funnel",
+        render: () => funnel.renderSummary(),
+        onClear: () => funnel.store.clear(),
+      })
+    }
+  }
+
   getAnalytics() {
     return this.analytics.events
   }
@@ -733,10 +3594,24 @@ document.addEventListener("DOMContentLoaded", () => {
 // Export for testing
 if (typeof module !== "undefined" && module.exports) {
   module.exports = {
+    SubmissionError,
+    ContactOutbox,
+    SpamGuard,
+    AttachmentManager,
+    FormDraftManager,
+    HelpDeflection,
+    TicketStore,
+    SearchAnalyticsStore,
+    FormFunnelStore,
+    ContactFormFunnel,
+    TICKET_LOOKUP_SCHEMA,
+    CONTACT_FORM_SCHEMA,
     ContactFormValidator,
     ContactFormHandler,
+    TicketStatusLookup,
     HelpSearchHandler,
     AccessibilityEnhancer,
+    DebugPanel,
     ContactAnalytics,
     ContactPageApp,
   }
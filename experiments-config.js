@@ -0,0 +1,66 @@
+/**
+ * Experiments
+ * A/B tests on the landing page. Add, change or stop an experiment here; experiments.js buckets
+ * visitors and applies the changes.
+ *
+ * Each experiment has an `id`, a `status` ("running" or "paused") and weighted `variants`
+ * (weights are relative). The first variant is the control. A variant's `changes` are applied
+ * before the page is shown:
+ *   { selector, text }   replace the text of every match
+ *   { selector, html }   replace the markup of every match (our own copy only, never user input)
+ *   { selector, order }  reorder the children of every match, listed by 1-based original position
+ *
+ * Bucketing is a hash of the visitor and experiment id, so changing the variants or weights of a
+ * running experiment moves visitors between variants. Start a new experiment id instead.
+ */
+
+// ===== EXPERIMENT DEFINITIONS =====
+const EXPERIMENTS = [
+  {
+    id: "hero-headline-2025-02",
+    status: "running",
+    variants: [
+      { id: "control", weight: 50, changes: [] },
+      {
+        id: "bring-together",
+        weight: 50,
+        changes: [{ selector: ".hero h1", html: 'Bring Your <span class="highlight">Whole Family</span> Together' }],
+      },
+    ],
+  },
+  {
+    id: "hero-cta-text-2025-02",
+    status: "running",
+    variants: [
+      { id: "control", weight: 34, changes: [] },
+      {
+        id: "try-free",
+        weight: 33,
+        changes: [{ selector: ".hero-buttons .btn-primary span:first-child", text: "Try FamilyHub Free" }],
+      },
+      {
+        id: "start-organizing",
+        weight: 33,
+        changes: [{ selector: ".hero-buttons .btn-primary span:first-child", text: "Start Organizing Today" }],
+      },
+    ],
+  },
+  {
+    id: "feature-order-2025-02",
+    status: "running",
+    variants: [
+      { id: "control", weight: 50, changes: [] },
+      {
+        // Expenses and tasks ahead of the calendar
+        id: "money-and-tasks-first",
+        weight: 50,
+        changes: [{ selector: ".features-grid", order: [2, 4, 1, 3, 5, 6, 7, 8] }],
+      },
+    ],
+  },
+]
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { EXPERIMENTS }
+}
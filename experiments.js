@@ -0,0 +1,261 @@
+/**
+ * Experiments JavaScript
+ * Buckets each visitor into a variant of every running experiment in experiments-config.js and
+ * applies the variant's DOM changes before the page is shown. Load both files in <head>.
+ * Exposure events are sent through AnalyticsHandler once script.js has started.
+ */
+
+// ===== CONSTANTS AND CONFIGURATION =====
+const EXPERIMENTS_CONFIG = {
+  // Random id kept in this browser, so a visitor sees the same variants on every visit. Stored only with
+  // functional or analytics consent; until then each page view is bucketed with an id kept in memory.
+  VISITOR_STORAGE_KEY: "familyhub_experiment_visitor",
+  CONSENT_CATEGORIES: ["functional", "analytics"],
+
+  // QA: ?experiments=hero-headline-2025-02:bring-together,feature-order-2025-02:control
+  QUERY_PARAM: "experiments",
+
+  // Targets stay hidden until their variant is applied, at most this long
+  ANTI_FLICKER_TIMEOUT: 1500,
+  ANTI_FLICKER_STYLE_ID: "experiments-anti-flicker",
+}
+
+// ===== BUCKETING =====
+
+/**
+ * FNV-1a hash of a string, scaled to [0, 1)
+ */
+function hashToUnitInterval(value) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0) / 2 ** 32
+}
+
+/**
+ * Pick the variant whose share of the total weight contains `point`
+ */
+function pickWeightedVariant(variants, point) {
+  const total = variants.reduce((sum, variant) => sum + variant.weight, 0)
+  let cumulative = 0
+
+  for (const variant of variants) {
+    cumulative += variant.weight / total
+    if (point < cumulative) return variant
+  }
+
+  return variants[variants.length - 1]
+}
+
+// ===== EXPERIMENT MANAGER =====
+
+/**
+ * Experiment Manager
+ */
+class ExperimentManager {
+  constructor(experiments = EXPERIMENTS, config = EXPERIMENTS_CONFIG) {
+    this.experiments = experiments
+    this.config = config
+    this.assignments = []
+    this.visitorId = null
+    this.antiFlickerTimer = null
+    this.isExposureTracked = false
+  }
+
+  run() {
+    this.bindConsent()
+    const forced = this.getForcedVariants()
+
+    this.assignments = this.experiments
+      .filter((experiment) => experiment.status === "running" && experiment.variants.length > 0)
+      .map((experiment) => this.assign(experiment, forced.get(experiment.id)))
+
+    if (this.assignments.length === 0) return
+
+    this.hideTargets()
+
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", () => this.apply())
+    } else {
+      this.apply()
+    }
+  }
+
+  /**
+   * Deterministic for a visitor and experiment; a valid forced variant from the query string wins
+   */
+  assign(experiment, forcedVariantId) {
+    const forcedVariant = experiment.variants.find((variant) => variant.id === forcedVariantId)
+    if (forcedVariant) {
+      return { experiment, variant: forcedVariant, forced: true }
+    }
+
+    const point = hashToUnitInterval(`${this.getVisitorId()}:${experiment.id}`)
+    return { experiment, variant: pickWeightedVariant(experiment.variants, point), forced: false }
+  }
+
+  /**
+   * The stored id, or a new one kept in memory until consent allows storing it (see syncVisitorId)
+   */
+  getVisitorId() {
+    if (this.visitorId) return this.visitorId
+
+    try {
+      this.visitorId = localStorage.getItem(this.config.VISITOR_STORAGE_KEY)
+    } catch (error) {
+      // Without storage the visitor is bucketed per page view
+    }
+
+    if (!this.visitorId) {
+      this.visitorId = window.crypto?.randomUUID
+        ? window.crypto.randomUUID()
+        : `${Date.now()}-${Math.random().toString(36).slice(2)}`
+    }
+
+    return this.visitorId
+  }
+
+  /**
+   * Keep the stored visitor id in line with the cookie choice, once script.js has loaded and on every change
+   */
+  bindConsent() {
+    document.addEventListener("consent:change", () => this.syncVisitorId())
+
+    if (document.readyState === "loading") {
+      document.addEventListener("DOMContentLoaded", () => this.syncVisitorId())
+    } else {
+      this.syncVisitorId()
+    }
+  }
+
+  syncVisitorId() {
+    // The consent manager lives in script.js, which loads after this file
+    if (typeof hasCookieConsent !== "function") return
+
+    const hasConsent = this.config.CONSENT_CATEGORIES.some((category) => hasCookieConsent(category))
+
+    try {
+      if (hasConsent && this.visitorId) {
+        localStorage.setItem(this.config.VISITOR_STORAGE_KEY, this.visitorId)
+      } else if (!hasConsent) {
+        localStorage.removeItem(this.config.VISITOR_STORAGE_KEY)
+      }
+    } catch (error) {
+      console.warn("Unable to update the experiment visitor id:", error)
+    }
+  }
+
+  getForcedVariants() {
+    const value = new URLSearchParams(window.location.search).get(this.config.QUERY_PARAM) || ""
+    return new Map(
+      value
+        .split(",")
+        .map((pair) => pair.split(":").map((part) => part.trim()))
+        .filter(([experimentId, variantId]) => experimentId && variantId),
+    )
+  }
+
+  /**
+   * Hide the elements a variant will change until it has been applied, so the control never flashes
+   */
+  hideTargets() {
+    const selectors = this.assignments.flatMap(({ variant }) =>
+      (variant.changes || []).map((change) => change.selector),
+    )
+    if (selectors.length === 0) return
+
+    const style = document.createElement("style")
+    style.id = this.config.ANTI_FLICKER_STYLE_ID
+    style.textContent = `${selectors.join(", ")} { visibility: hidden !important; }`
+    document.head.appendChild(style)
+
+    // Never leave content hidden if applying fails
+    this.antiFlickerTimer = setTimeout(() => this.showTargets(), this.config.ANTI_FLICKER_TIMEOUT)
+  }
+
+  showTargets() {
+    clearTimeout(this.antiFlickerTimer)
+    document.getElementById(this.config.ANTI_FLICKER_STYLE_ID)?.remove()
+  }
+
+  apply() {
+    this.assignments.forEach(({ experiment, variant }) => {
+      const changes = variant.changes || []
+      changes.forEach((change) => {
+        try {
+          document.querySelectorAll(change.selector).forEach((element) => this.applyChange(element, change))
+        } catch (error) {
+          console.warn(`Experiment ${experiment.id} could not apply a change to ${change.selector}:`, error)
+        }
+      })
+    })
+
+    document.documentElement.dataset.experiments = this.assignments
+      .map(({ experiment, variant }) => `${experiment.id}:${variant.id}`)
+      .join(" ")
+
+    this.showTargets()
+  }
+
+  applyChange(element, change) {
+    if (typeof change.text === "string") {
+      element.textContent = change.text
+    } else if (typeof change.html === "string") {
+      element.innerHTML = change.html
+    } else if (Array.isArray(change.order)) {
+      const children = [...element.children]
+      const ordered = change.order.map((position) => children[position - 1]).filter(Boolean)
+      // Children the order doesn't mention keep their relative order at the end
+      const rest = children.filter((child) => !ordered.includes(child))
+      element.append(...ordered, ...rest)
+    }
+  }
+
+  /**
+   * `{ experimentId: variantId }` for every experiment running on this page
+   */
+  getActiveVariants() {
+    return Object.fromEntries(this.assignments.map(({ experiment, variant }) => [experiment.id, variant.id]))
+  }
+
+  /**
+   * Send one exposure event per experiment, as soon as analytics consent allows
+   */
+  trackExposures(analytics) {
+    if (!analytics) return
+
+    const track = () => {
+      if (this.isExposureTracked || !analytics.isEnabled) return
+      this.isExposureTracked = true
+
+      this.assignments.forEach(({ experiment, variant, forced }) => {
+        analytics.trackEvent("experiment_exposure", {
+          experiment_id: experiment.id,
+          variant_id: variant.id,
+          forced,
+        })
+      })
+    }
+
+    track()
+    document.addEventListener("consent:change", track)
+  }
+}
+
+// ===== APPLICATION STARTUP =====
+
+// Runs from <head>, so variants are in place before the first paint
+window.FamilyHubExperiments = new ExperimentManager()
+window.FamilyHubExperiments.run()
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    EXPERIMENTS_CONFIG,
+    hashToUnitInterval,
+    pickWeightedVariant,
+    ExperimentManager,
+  }
+}
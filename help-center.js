@@ -0,0 +1,782 @@
+/**
+ * Help Center JavaScript
+ * Page behaviour for the help center: FAQ deep links, expand/collapse, helpfulness voting,
+ * category filtering with the view kept in the URL, and the in-page article reader
+ */
+
+// ===== CONSTANTS AND CONFIGURATION =====
+const HELP_CENTER_CONFIG = {
+  // FAQ helpfulness votes, one per FAQ entry per browser
+  FAQ_VOTES_STORAGE_KEY: "familyhub_faq_votes",
+  FEEDBACK_MAX_LENGTH: 500,
+
+  // Query string parameters holding the current view
+  URL_PARAMS: {
+    category: "category",
+    query: "q",
+    article: "article",
+  },
+
+  // Article reader: Markdown files named after the article id
+  ARTICLE_BASE_URL: "help-articles/",
+  ARTICLE_TIMEOUT: 10000,
+  MAX_RELATED_ARTICLES: 3,
+
+  MESSAGES: {
+    VOTE_PROMPT: "Was this helpful?",
+    VOTE_THANKS: "Thanks for your feedback!",
+    FEEDBACK_PROMPT_HELPFUL: "Anything we could add? (optional)",
+    FEEDBACK_PROMPT_UNHELPFUL: "What were you looking for? (optional)",
+    LINK_COPIED: "Link copied to clipboard",
+    LINK_COPY_FAILED: "Couldn't copy the link. You can copy it from the address bar.",
+    ARTICLE_LOADING: "Loading article...",
+    ARTICLE_ERROR: "We couldn't load this article right now.",
+  },
+}
+
+// ===== FAQ =====
+
+/**
+ * Stores one helpfulness vote per FAQ entry. Votes are kept in localStorage with functional cookies
+ * allowed; otherwise in sessionStorage, which is strictly necessary to stop voting twice in a visit.
+ */
+class FaqVoteStore {
+  constructor(storageKey = HELP_CENTER_CONFIG.FAQ_VOTES_STORAGE_KEY) {
+    this.storageKey = storageKey
+  }
+
+  read(storage) {
+    try {
+      const votes = JSON.parse(storage.getItem(this.storageKey))
+      return votes && typeof votes === "object" ? votes : {}
+    } catch (error) {
+      return {}
+    }
+  }
+
+  getAll() {
+    try {
+      return { ...this.read(sessionStorage), ...this.read(localStorage) }
+    } catch (error) {
+      return {}
+    }
+  }
+
+  get(faqId) {
+    return this.getAll()[faqId] || null
+  }
+
+  /**
+   * Record a vote. Returns false if this browser already voted on the entry.
+   */
+  add(faqId, helpful) {
+    const votes = this.getAll()
+    if (votes[faqId]) return false
+
+    votes[faqId] = { helpful, timestamp: Date.now() }
+
+    try {
+      const storage = hasCookieConsent("functional") ? localStorage : sessionStorage
+      storage.setItem(this.storageKey, JSON.stringify(votes))
+    } catch (error) {
+      console.warn("Unable to store FAQ vote:", error)
+    }
+    return true
+  }
+
+  /**
+   * Remove the stored votes, keeping them for the rest of this visit
+   */
+  clear() {
+    try {
+      sessionStorage.setItem(this.storageKey, JSON.stringify(this.getAll()))
+      localStorage.removeItem(this.storageKey)
+    } catch (error) {
+      // Nothing stored
+    }
+  }
+}
+
+/**
+ * Enhances `details.faq-item` entries with deep links, a copy-link action,
+ * expand/collapse-all controls and a "Was this helpful?" widget
+ */
+class FaqController {
+  constructor(analytics, votes = new FaqVoteStore()) {
+    this.analytics = analytics
+    this.votes = votes
+    this.list = document.querySelector(".faq-list")
+    this.items = Array.from(document.querySelectorAll(".faq-item[id]"))
+
+    if (this.list && this.items.length > 0) {
+      this.init()
+    } else {
+      console.warn("FAQ list not found")
+    }
+  }
+
+  init() {
+    this.items.forEach((item) => this.enhanceItem(item))
+    this.bindEvents()
+    this.openFromHash()
+  }
+
+  bindEvents() {
+    document.querySelectorAll("[data-faq-action]").forEach((button) => {
+      button.addEventListener("click", () => this.setAllOpen(button.dataset.faqAction === "expand"))
+    })
+
+    this.list.addEventListener("click", (e) => {
+      const button = e.target.closest("button[data-faq-vote], .faq-copy-link")
+      if (!button) return
+
+      const item = button.closest(".faq-item")
+      if (button.classList.contains("faq-copy-link")) {
+        this.copyLink(item, button)
+      } else {
+        this.vote(item, button.dataset.faqVote === "yes")
+      }
+    })
+
+    this.list.addEventListener("submit", (e) => {
+      const form = e.target.closest(".faq-feedback-form")
+      if (!form) return
+
+      e.preventDefault()
+      this.submitFeedback(form.closest(".faq-item"), form)
+    })
+
+    this.items.forEach((item) => {
+      item.addEventListener("toggle", () => {
+        if (item.open) this.analytics?.trackEvent("faq_opened", { faq_id: item.id })
+      })
+    })
+
+    window.addEventListener("hashchange", () => this.openFromHash())
+
+    document.addEventListener("consent:change", (e) => {
+      if (!e.detail.categories.functional) this.votes.clear()
+    })
+  }
+
+  /**
+   * Add the copy-link action and the helpfulness widget to an entry
+   */
+  enhanceItem(item) {
+    const content = item.querySelector(".faq-content")
+    if (!content) return
+
+    const previousVote = this.votes.get(item.id)
+    const footer = document.createElement("div")
+    footer.className = "faq-footer"
+    footer.innerHTML = `
+      <div class="faq-vote" role="group" aria-label="${HELP_CENTER_CONFIG.MESSAGES.VOTE_PROMPT}">
+        <span class="faq-vote-prompt">${HELP_CENTER_CONFIG.MESSAGES.VOTE_PROMPT}</span>
+        <button type="button" class="faq-vote-btn" data-faq-vote="yes">Yes</button>
+        <button type="button" class="faq-vote-btn" data-faq-vote="no">No</button>
+      </div>
+      <p class="faq-vote-status" role="status" aria-live="polite"></p>
+      <button type="button" class="faq-copy-link" aria-label="Copy link to this question">Copy link</button>
+    `
+    content.appendChild(footer)
+
+    if (previousVote) {
+      this.showVoteRecorded(item)
+    }
+  }
+
+  setAllOpen(open) {
+    this.items.forEach((item) => {
+      item.open = open
+    })
+
+    this.analytics?.trackEvent(open ? "faq_expanded_all" : "faq_collapsed_all")
+  }
+
+  /**
+   * Open and scroll to the entry named in the URL hash, if any
+   */
+  openFromHash() {
+    const id = decodeURIComponent(window.location.hash.slice(1))
+    const item = id ? this.items.find((faq) => faq.id === id) : null
+    if (!item) return
+
+    item.open = true
+
+    const smoothScrolling = window.FamilyHubApp?.getComponent?.("smoothScrolling")
+    if (smoothScrolling) {
+      smoothScrolling.scrollToTarget(item)
+    } else {
+      item.scrollIntoView({ behavior: "smooth", block: "start" })
+    }
+
+    item.querySelector("summary")?.focus({ preventScroll: true })
+    this.analytics?.trackEvent("faq_deep_link_opened", { faq_id: item.id })
+  }
+
+  getLink(item) {
+    const url = new URL(window.location.href)
+    url.search = ""
+    url.hash = item.id
+    return url.toString()
+  }
+
+  async copyLink(item, button) {
+    const copied = await copyToClipboard(this.getLink(item))
+
+    button.textContent = copied ? "Copied!" : "Copy failed"
+    setTimeout(() => {
+      button.textContent = "Copy link"
+    }, 2000)
+
+    showNotification(
+      copied ? HELP_CENTER_CONFIG.MESSAGES.LINK_COPIED : HELP_CENTER_CONFIG.MESSAGES.LINK_COPY_FAILED,
+      copied ? "success" : "error",
+    )
+
+    if (copied) {
+      this.analytics?.trackEvent("faq_link_copied", { faq_id: item.id })
+    }
+  }
+
+  vote(item, helpful) {
+    if (!this.votes.add(item.id, helpful)) {
+      this.showVoteRecorded(item)
+      return
+    }
+
+    this.analytics?.trackEvent("faq_vote", { faq_id: item.id, helpful })
+    this.showVoteRecorded(item)
+    this.showFeedbackForm(item, helpful)
+  }
+
+  showVoteRecorded(item) {
+    item.querySelector(".faq-vote")?.setAttribute("hidden", "")
+    const status = item.querySelector(".faq-vote-status")
+    if (status) status.textContent = HELP_CENTER_CONFIG.MESSAGES.VOTE_THANKS
+  }
+
+  /**
+   * Offer an optional free-text comment after a vote
+   */
+  showFeedbackForm(item, helpful) {
+    const footer = item.querySelector(".faq-footer")
+    if (!footer || footer.querySelector(".faq-feedback-form")) return
+
+    const fieldId = `${item.id}-feedback`
+    const prompt = helpful
+      ? HELP_CENTER_CONFIG.MESSAGES.FEEDBACK_PROMPT_HELPFUL
+      : HELP_CENTER_CONFIG.MESSAGES.FEEDBACK_PROMPT_UNHELPFUL
+
+    const form = document.createElement("form")
+    form.className = "faq-feedback-form"
+    form.dataset.helpful = String(helpful)
+    form.innerHTML = `
+      <label for="${fieldId}">${prompt}</label>
+      <textarea id="${fieldId}" name="feedback" rows="3" maxlength="${HELP_CENTER_CONFIG.FEEDBACK_MAX_LENGTH}"></textarea>
+      <button type="submit" class="faq-feedback-submit">Send feedback</button>
+    `
+    footer.insertBefore(form, footer.querySelector(".faq-copy-link"))
+    form.querySelector("textarea").focus()
+  }
+
+  /**
+   * Free text is sent to analytics with emails and phone numbers stripped, like search queries
+   */
+  submitFeedback(item, form) {
+    const feedback = stripPii(form.elements.feedback.value.trim().slice(0, HELP_CENTER_CONFIG.FEEDBACK_MAX_LENGTH))
+
+    if (feedback) {
+      this.analytics?.trackEvent("faq_feedback", {
+        faq_id: item.id,
+        helpful: form.dataset.helpful === "true",
+        feedback,
+      })
+    }
+
+    form.remove()
+    const status = item.querySelector(".faq-vote-status")
+    if (status) status.textContent = HELP_CENTER_CONFIG.MESSAGES.VOTE_THANKS
+  }
+}
+
+// ===== CATEGORY FILTER =====
+
+/**
+ * Category chips filtering the article cards, the FAQ list and search results.
+ * The active category and search query live in the query string (`?category=pets&q=vet`),
+ * so filtered views can be shared, survive reloads and follow back/forward.
+ */
+class HelpCenterFilter {
+  constructor(analytics, searchHandler = null) {
+    this.analytics = analytics
+    this.searchHandler = searchHandler
+    this.chips = Array.from(document.querySelectorAll(".category-chip"))
+    this.cards = Array.from(document.querySelectorAll(".category-card[data-category]"))
+    this.faqItems = Array.from(document.querySelectorAll(".faq-item"))
+    this.faqEmpty = document.querySelector(".faq-empty")
+    this.status = document.querySelector(".help-filter-status")
+    this.category = null
+    this.isRestoring = false
+
+    if (this.chips.length > 0) {
+      this.init()
+    } else {
+      console.warn("Category filters not found")
+    }
+  }
+
+  init() {
+    this.bindEvents()
+    this.applyState(this.getStateFromUrl(), { announce: false })
+  }
+
+  bindEvents() {
+    this.chips.forEach((chip) => {
+      chip.addEventListener("click", () => {
+        const category = chip.dataset.filterCategory || null
+        if (category === this.category) return
+
+        this.setCategory(category)
+        this.pushState()
+        this.analytics?.trackEvent("help_category_filtered", { category: category || "all" })
+      })
+    })
+
+    // Keep the query string in step with searches run from the search box
+    document.addEventListener("help:search", () => {
+      if (!this.isRestoring) this.pushState()
+    })
+
+    window.addEventListener("popstate", () => this.applyState(this.getStateFromUrl()))
+  }
+
+  getStateFromUrl() {
+    const params = new URLSearchParams(window.location.search)
+    const category = params.get(HELP_CENTER_CONFIG.URL_PARAMS.category)
+
+    return {
+      category: this.chips.some((chip) => chip.dataset.filterCategory === category) ? category : null,
+      query: (params.get(HELP_CENTER_CONFIG.URL_PARAMS.query) || "").trim(),
+    }
+  }
+
+  /**
+   * Record the current category and query as a new history entry, keeping the hash
+   */
+  pushState() {
+    const url = new URL(window.location.href)
+    const query = this.searchHandler?.searchInput?.value.trim() || ""
+    const params = HELP_CENTER_CONFIG.URL_PARAMS
+
+    url.searchParams.delete(params.article)
+    if (this.category) url.searchParams.set(params.category, this.category)
+    else url.searchParams.delete(params.category)
+
+    if (query) url.searchParams.set(params.query, query)
+    else url.searchParams.delete(params.query)
+
+    if (url.href !== window.location.href) {
+      history.pushState({ category: this.category, query }, "", url)
+    }
+  }
+
+  /**
+   * Show the view described by `{ category, query }` without adding a history entry
+   */
+  applyState({ category, query }, { announce = true } = {}) {
+    this.isRestoring = true
+
+    try {
+      this.setCategory(category, { announce: announce && !query, refreshSearch: false })
+
+      if (this.searchHandler?.searchInput) {
+        this.searchHandler.searchInput.value = query
+        if (query) {
+          this.searchHandler.performSearch({ track: false })
+        } else {
+          this.searchHandler.clearResults()
+        }
+      }
+    } finally {
+      this.isRestoring = false
+    }
+  }
+
+  setCategory(category, { announce = true, refreshSearch = true } = {}) {
+    this.category = category || null
+
+    this.chips.forEach((chip) => {
+      chip.setAttribute("aria-pressed", String((chip.dataset.filterCategory || null) === this.category))
+    })
+
+    const matches = (element) => !this.category || element.dataset.category === this.category
+    this.cards.forEach((card) => {
+      card.hidden = !matches(card)
+    })
+    this.faqItems.forEach((item) => {
+      item.hidden = !matches(item)
+    })
+
+    const visibleFaqs = this.faqItems.filter((item) => !item.hidden).length
+    if (this.faqEmpty) this.faqEmpty.hidden = visibleFaqs > 0
+
+    // A visible search is re-run in the new category; its results announce themselves
+    this.searchHandler?.setCategory(this.category, { refresh: refreshSearch })
+
+    if (announce) this.announceCounts(visibleFaqs)
+  }
+
+  announceCounts(visibleFaqs) {
+    if (!this.status) return
+
+    const articles = this.cards
+      .filter((card) => !card.hidden)
+      .reduce((total, card) => total + card.querySelectorAll(".category-links a").length, 0)
+    const label = this.chips.find((chip) => (chip.dataset.filterCategory || null) === this.category)?.textContent.trim()
+    const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`
+
+    this.status.textContent = `Showing ${plural(articles, "article")} and ${plural(visibleFaqs, "FAQ")}${
+      this.category ? ` in ${label}` : ""
+    }`
+  }
+}
+
+// ===== ARTICLE READER =====
+
+/**
+ * Render the Markdown subset used by help articles: headings, paragraphs, ordered and
+ * unordered lists, **bold**, *emphasis*, `code` and [links](url). Input is escaped first.
+ * Headings are shifted down one level, as the article title is the page's h2.
+ */
+function renderMarkdown(markdown) {
+  const inline = (text) =>
+    escapeHtml(text)
+      .replace(/`([^`]+)`/g, "<code>$1</code>")
+      .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+      .replace(/\*([^*]+)\*/g, "<em>$1</em>")
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) =>
+        /^(https?:|mailto:|\?|#|[\w-]+\.html)/.test(href) ? `<a href="${href}">${label}</a>` : label,
+      )
+
+  const blocks = markdown.replace(/\r\n/g, "\n").split(/\n{2,}/)
+
+  return blocks
+    .map((block) => {
+      const lines = block.trim().split("\n")
+      if (!lines[0]) return ""
+
+      const heading = lines[0].match(/^(#{1,5})\s+(.*)$/)
+      if (heading && lines.length === 1) {
+        const level = heading[1].length + 1
+        return `<h${level}>${inline(heading[2])}</h${level}>`
+      }
+
+      if (lines.every((line) => /^[-*]\s+/.test(line))) {
+        return `<ul>${lines.map((line) => `<li>${inline(line.replace(/^[-*]\s+/, ""))}</li>`).join("")}</ul>`
+      }
+
+      if (lines.every((line) => /^\d+\.\s+/.test(line))) {
+        return `<ol>${lines.map((line) => `<li>${inline(line.replace(/^\d+\.\s+/, ""))}</li>`).join("")}</ol>`
+      }
+
+      return `<p>${inline(lines.join(" "))}</p>`
+    })
+    .join("\n")
+}
+
+/**
+ * Loads help articles into an in-page reader. Each article has its own URL
+ * (`help-center.html?article=<id>`), so links keep working without JavaScript and
+ * back/forward moves between articles and the topic listing.
+ */
+class HelpArticleViewer {
+  constructor(analytics, filter = null, content = typeof HELP_CONTENT !== "undefined" ? HELP_CONTENT : null) {
+    this.analytics = analytics
+    this.filter = filter
+    this.content = content
+    this.viewer = document.querySelector(".article-viewer")
+    this.main = document.querySelector(".help-main")
+    this.cache = new Map()
+    this.currentArticle = null
+    this.returnFocus = null
+    this.pageTitle = document.title
+    this.loadController = null
+
+    if (this.viewer && this.content) {
+      this.breadcrumbs = this.viewer.querySelector(".article-breadcrumb-list")
+      this.articleContent = this.viewer.querySelector(".article-content")
+      this.title = this.viewer.querySelector(".article-title")
+      this.body = this.viewer.querySelector(".article-body")
+      this.pagination = this.viewer.querySelector(".article-pagination")
+      this.relatedList = this.viewer.querySelector(".article-related-list")
+      this.init()
+    } else {
+      console.warn("Article viewer not found")
+    }
+  }
+
+  init() {
+    this.bindEvents()
+
+    const id = this.getArticleIdFromUrl(window.location.href)
+    if (id) this.open(id, { updateHistory: false })
+  }
+
+  bindEvents() {
+    // Open article links anywhere on the page in the reader
+    document.addEventListener("click", (e) => {
+      const link = e.target.closest("a[href]")
+      if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return
+
+      const category = link.dataset.breadcrumbCategory
+      if (category !== undefined) {
+        e.preventDefault()
+        this.showCategory(category || null)
+        return
+      }
+
+      const id = this.getArticleIdFromUrl(link.href)
+      if (id) {
+        e.preventDefault()
+        this.open(id, { trigger: link })
+      }
+    })
+
+    // Search suggestions for articles
+    document.addEventListener("help:open-article", (e) => {
+      if (!this.getArticle(e.detail.id)) return
+
+      e.preventDefault()
+      this.open(e.detail.id)
+    })
+
+    // Leave the reader when a new search is run
+    document.addEventListener("help:search", () => this.close({ updateHistory: false, restoreFocus: false }))
+
+    this.viewer.querySelector(".article-close")?.addEventListener("click", () => this.close())
+
+    window.addEventListener("popstate", () => {
+      const id = this.getArticleIdFromUrl(window.location.href)
+      if (id) {
+        this.open(id, { updateHistory: false })
+      } else {
+        this.close({ updateHistory: false })
+      }
+    })
+  }
+
+  /**
+   * The article id a URL points at, if it is a known article on this page
+   */
+  getArticleIdFromUrl(href) {
+    const url = new URL(href, window.location.href)
+    if (url.origin !== window.location.origin || url.pathname !== window.location.pathname) return null
+
+    const id = url.searchParams.get(HELP_CENTER_CONFIG.URL_PARAMS.article)
+    return id && this.getArticle(id) ? id : null
+  }
+
+  getArticle(id) {
+    return this.content.articles.find((article) => article.id === id) || null
+  }
+
+  async open(id, { updateHistory = true, trigger = null } = {}) {
+    const article = this.getArticle(id)
+    if (!article) return
+
+    if (!this.currentArticle) {
+      this.returnFocus = trigger || document.activeElement
+    }
+    this.currentArticle = article
+
+    if (updateHistory) {
+      const url = new URL(window.location.href)
+      url.search = ""
+      url.hash = ""
+      url.searchParams.set(HELP_CENTER_CONFIG.URL_PARAMS.article, id)
+      history.pushState({ article: id }, "", url)
+    }
+
+    this.main?.classList.add("is-reading")
+    this.viewer.hidden = false
+    document.title = `${article.title} - FamilyHub Help Center`
+
+    this.renderBreadcrumbs(article)
+    this.renderPagination(article)
+    this.renderRelated(article)
+
+    this.title.textContent = article.title
+    this.body.innerHTML = `<p class="article-loading">${HELP_CENTER_CONFIG.MESSAGES.ARTICLE_LOADING}</p>`
+    this.articleContent.setAttribute("aria-busy", "true")
+    this.title.focus()
+
+    try {
+      const html = await this.load(id)
+      if (this.currentArticle !== article) return
+      this.body.innerHTML = html
+      this.analytics?.trackEvent("help_article_viewed", { article_id: id, category: article.category })
+    } catch (error) {
+      if (error.name === "AbortError" || this.currentArticle !== article) return
+      this.body.innerHTML = `
+        <p>${escapeHtml(article.summary)}</p>
+        <p class="article-error">${HELP_CENTER_CONFIG.MESSAGES.ARTICLE_ERROR}
+          Please try again later or <a href="contact.html">contact our support team</a>.</p>
+      `
+      this.analytics?.trackEvent("help_article_load_failed", { article_id: id, category: article.category })
+    } finally {
+      if (this.currentArticle === article) this.articleContent.setAttribute("aria-busy", "false")
+    }
+  }
+
+  /**
+   * Fetch and render an article's Markdown, cancelling any load still in flight
+   */
+  async load(id) {
+    if (this.cache.has(id)) return this.cache.get(id)
+
+    this.loadController?.abort()
+    const controller = new AbortController()
+    this.loadController = controller
+    const timeoutId = setTimeout(() => controller.abort(), HELP_CENTER_CONFIG.ARTICLE_TIMEOUT)
+
+    try {
+      const response = await fetch(`${HELP_CENTER_CONFIG.ARTICLE_BASE_URL}${encodeURIComponent(id)}.md`, {
+        signal: controller.signal,
+      })
+      if (!response.ok) {
+        throw new Error(`Article request failed with status ${response.status}`)
+      }
+
+      const html = renderMarkdown(await response.text())
+      this.cache.set(id, html)
+      return html
+    } finally {
+      clearTimeout(timeoutId)
+    }
+  }
+
+  close({ updateHistory = true, restoreFocus = true } = {}) {
+    if (!this.currentArticle) return
+
+    const article = this.currentArticle
+    this.currentArticle = null
+    this.loadController?.abort()
+
+    this.viewer.hidden = true
+    this.main?.classList.remove("is-reading")
+    document.title = this.pageTitle
+
+    if (updateHistory) {
+      this.pushListingState()
+    }
+
+    if (restoreFocus) {
+      // Return to the link that opened the reader, or to the article's link in its category
+      const fallback = document.querySelector(`.category-links a[href$="article=${article.id}"]`)
+      const target = this.returnFocus?.isConnected && this.returnFocus !== document.body ? this.returnFocus : fallback
+      target?.focus()
+    }
+    this.returnFocus = null
+  }
+
+  /**
+   * Leave the reader for the topic listing filtered to a category
+   */
+  showCategory(category) {
+    this.close({ updateHistory: false })
+
+    this.filter?.setCategory(category)
+    this.pushListingState()
+
+    document.querySelector(".help-categories")?.scrollIntoView({ behavior: "smooth", block: "start" })
+  }
+
+  /**
+   * Add a history entry for the topic listing, with the filter's category and query when there is one
+   */
+  pushListingState() {
+    if (this.filter) {
+      this.filter.pushState()
+      return
+    }
+
+    const url = new URL(window.location.href)
+    url.searchParams.delete(HELP_CENTER_CONFIG.URL_PARAMS.article)
+    history.pushState(null, "", url)
+  }
+
+  renderBreadcrumbs(article) {
+    const category = this.content.getCategory(article.category)
+
+    this.breadcrumbs.innerHTML = `
+      <li><a href="${this.content.PAGE_URL}" data-breadcrumb-category="">Help Center</a></li>
+      ${
+        category
+          ? `<li><a href="${this.content.PAGE_URL}?category=${category.id}" data-breadcrumb-category="${category.id}">${escapeHtml(category.title)}</a></li>`
+          : ""
+      }
+      <li><span aria-current="page">${escapeHtml(article.title)}</span></li>
+    `
+  }
+
+  /**
+   * Previous/next links follow the order of HELP_CONTENT.articles
+   */
+  renderPagination(article) {
+    const articles = this.content.articles
+    const index = articles.indexOf(article)
+    const previous = articles[index - 1]
+    const next = articles[index + 1]
+
+    const link = (target, rel, label) =>
+      target
+        ? `<a href="${this.content.articleUrl(target.id)}" class="article-pagination-${rel}" rel="${rel}">
+            <span class="article-pagination-label">${label}</span>
+            <span class="article-pagination-title">${escapeHtml(target.title)}</span>
+          </a>`
+        : ""
+
+    this.pagination.innerHTML = `${link(previous, "prev", "Previous")}${link(next, "next", "Next")}`
+  }
+
+  /**
+   * Up to MAX_RELATED_ARTICLES articles, ranked by shared keywords with a bonus for the same category
+   */
+  getRelatedArticles(article) {
+    const keywords = new Set(article.keywords)
+
+    return this.content.articles
+      .filter((other) => other !== article)
+      .map((other) => ({
+        article: other,
+        score:
+          other.keywords.filter((keyword) => keywords.has(keyword)).length + (other.category === article.category ? 1 : 0),
+      }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, HELP_CENTER_CONFIG.MAX_RELATED_ARTICLES)
+      .map(({ article: related }) => related)
+  }
+
+  renderRelated(article) {
+    const related = this.getRelatedArticles(article)
+
+    this.relatedList.closest(".article-related").hidden = related.length === 0
+    this.relatedList.innerHTML = related
+      .map((other) => `<li><a href="${this.content.articleUrl(other.id)}">${escapeHtml(other.title)}</a></li>`)
+      .join("")
+  }
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    HELP_CENTER_CONFIG,
+    FaqVoteStore,
+    FaqController,
+    HelpCenterFilter,
+    renderMarkdown,
+    HelpArticleViewer,
+  }
+}
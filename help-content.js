@@ -0,0 +1,252 @@
+/**
+ * Help Center Content
+ * Index of help-center categories, articles and FAQ entries, shared by the pages that
+ * search or suggest help content. Keep in sync with help-center.html.
+ */
+
+// ===== HELP CONTENT INDEX =====
+const HELP_CONTENT = {
+  PAGE_URL: "help-center.html",
+
+  categories: [
+    { id: "getting-started", title: "Getting Started", icon: "📱" },
+    { id: "calendar", title: "Calendar & Tasks", icon: "📅" },
+    { id: "newborn", title: "Newborn Care", icon: "👶" },
+    { id: "pets", title: "Pet Care", icon: "🐕" },
+    { id: "billing", title: "Expenses & Budget", icon: "💰" },
+    { id: "rewards", title: "Rewards & Gamification", icon: "🏆" },
+  ],
+
+  articles: [
+    {
+      id: "setup",
+      category: "getting-started",
+      title: "Setting up your family account",
+      summary: "Create your FamilyHub account, name your family group and choose your plan.",
+      keywords: ["account", "sign up", "register", "create", "install", "login"],
+    },
+    {
+      id: "inviting",
+      category: "getting-started",
+      title: "Inviting family members",
+      summary: "Send invitations by email and choose each member's role.",
+      keywords: ["invite", "add", "member", "partner", "children", "role", "join"],
+    },
+    {
+      id: "first-steps",
+      category: "getting-started",
+      title: "Your first steps with FamilyHub",
+      summary: "A quick tour of the features to set up in your first week.",
+      keywords: ["start", "tour", "beginner", "onboarding", "tutorial"],
+    },
+    {
+      id: "navigation",
+      category: "getting-started",
+      title: "Navigating the app",
+      summary: "Find your way around the home screen, tabs and settings.",
+      keywords: ["menu", "settings", "tabs", "home", "find"],
+    },
+    {
+      id: "calendar-setup",
+      category: "calendar",
+      title: "Setting up your family calendar",
+      summary: "Create a shared calendar and connect Google, Apple or Outlook calendars.",
+      keywords: ["calendar", "sync", "google", "outlook", "apple", "shared", "schedule"],
+    },
+    {
+      id: "adding-events",
+      category: "calendar",
+      title: "Adding events and appointments",
+      summary: "Add one-off and recurring events, and assign them to family members.",
+      keywords: ["event", "appointment", "recurring", "schedule", "reminder"],
+    },
+    {
+      id: "task-management",
+      category: "calendar",
+      title: "Managing household tasks",
+      summary: "Create chores, assign them and track completion.",
+      keywords: ["task", "chore", "todo", "assign", "household", "list"],
+    },
+    {
+      id: "notifications",
+      category: "calendar",
+      title: "Setting up notifications",
+      summary: "Choose which reminders and alerts you receive and when.",
+      keywords: ["notification", "alert", "reminder", "push", "email", "mute"],
+    },
+    {
+      id: "newborn-setup",
+      category: "newborn",
+      title: "Setting up newborn profiles",
+      summary: "Add your baby's profile with birth details and caregivers.",
+      keywords: ["baby", "newborn", "profile", "infant", "birth"],
+    },
+    {
+      id: "feeding-tracking",
+      category: "newborn",
+      title: "Tracking feeding and sleep",
+      summary: "Log feeds, naps and diaper changes, and spot patterns over time.",
+      keywords: ["feeding", "sleep", "nap", "diaper", "bottle", "breastfeeding", "log"],
+    },
+    {
+      id: "milestones",
+      category: "newborn",
+      title: "Recording milestones",
+      summary: "Capture first smiles, steps and words with photos and notes.",
+      keywords: ["milestone", "first", "photo", "growth", "development"],
+    },
+    {
+      id: "health-records",
+      category: "newborn",
+      title: "Managing health records",
+      summary: "Keep vaccinations, check-ups and growth measurements in one place.",
+      keywords: ["health", "vaccination", "doctor", "pediatrician", "checkup", "medical"],
+    },
+    {
+      id: "pet-profiles",
+      category: "pets",
+      title: "Creating pet profiles",
+      summary: "Add your pets with breed, age, microchip and care details.",
+      keywords: ["pet", "dog", "cat", "profile", "animal", "breed"],
+    },
+    {
+      id: "vet-appointments",
+      category: "pets",
+      title: "Managing vet appointments",
+      summary: "Schedule vet visits, vaccinations and medication reminders for your pets.",
+      keywords: ["vet", "veterinarian", "appointment", "vaccination", "medication"],
+    },
+    {
+      id: "activity-tracking",
+      category: "pets",
+      title: "Tracking pet activities",
+      summary: "Log walks, feeding and grooming, and share duties with the family.",
+      keywords: ["walk", "feeding", "grooming", "activity", "exercise"],
+    },
+    {
+      id: "pet-community",
+      category: "pets",
+      title: "Using the pet community",
+      summary: "Connect with other pet owners, share tips and find local services.",
+      keywords: ["community", "owners", "share", "local", "forum"],
+    },
+    {
+      id: "expense-tracking",
+      category: "billing",
+      title: "Recording expenses",
+      summary: "Log family spending by category and see who paid what.",
+      keywords: ["expense", "spending", "money", "cost", "payment", "split"],
+    },
+    {
+      id: "budget-setup",
+      category: "billing",
+      title: "Setting up budgets",
+      summary: "Create monthly budgets per category and get alerts before you overspend.",
+      keywords: ["budget", "limit", "monthly", "savings", "money"],
+    },
+    {
+      id: "receipt-scanning",
+      category: "billing",
+      title: "Scanning receipts",
+      summary: "Use your camera to scan receipts and turn them into expenses.",
+      keywords: ["receipt", "scan", "camera", "photo", "invoice"],
+    },
+    {
+      id: "financial-reports",
+      category: "billing",
+      title: "Understanding reports",
+      summary: "Read spending reports and export them for your records.",
+      keywords: ["report", "chart", "export", "summary", "analytics"],
+    },
+    {
+      id: "rewards-setup",
+      category: "rewards",
+      title: "Setting up family rewards",
+      summary: "Create rewards the family can earn for completing tasks.",
+      keywords: ["reward", "prize", "incentive", "motivation", "kids"],
+    },
+    {
+      id: "points-system",
+      category: "rewards",
+      title: "Understanding the points system",
+      summary: "How points are earned, spent and balanced between family members.",
+      keywords: ["points", "score", "earn", "redeem", "balance"],
+    },
+    {
+      id: "badges",
+      category: "rewards",
+      title: "Earning badges and achievements",
+      summary: "The badges available and how to unlock them.",
+      keywords: ["badge", "achievement", "unlock", "trophy"],
+    },
+    {
+      id: "family-challenges",
+      category: "rewards",
+      title: "Creating family challenges",
+      summary: "Set up weekly challenges and compete as a family.",
+      keywords: ["challenge", "competition", "weekly", "goal", "game"],
+    },
+  ],
+
+  faqs: [
+    {
+      id: "faq-add-family-members",
+      category: "getting-started",
+      question: "How do I add family members to my account?",
+      answer:
+        "Go to Settings > Family Members, tap Invite Family Member, enter their email address, choose their role and send the invitation.",
+    },
+    {
+      id: "faq-data-security",
+      category: "getting-started",
+      question: "Is my family's data secure and private?",
+      answer:
+        "All data is encrypted in transit and at rest. We never sell or share your personal information, you have full control over your data and we comply with GDPR.",
+    },
+    {
+      id: "faq-offline",
+      category: "getting-started",
+      question: "Can I use FamilyHub offline?",
+      answer:
+        "Many features work offline: view calendar events and tasks, add new entries that sync when you're back online, and use newborn tracking. Family chat needs a connection.",
+    },
+    {
+      id: "faq-pricing",
+      category: "billing",
+      question: "How much does FamilyHub cost?",
+      answer:
+        "Free Plan for up to 4 family members, Premium Plan at $9.99/month and Family Plan at $19.99/month. All plans include a 30-day free trial.",
+    },
+    {
+      id: "faq-devices",
+      category: "getting-started",
+      question: "What devices does FamilyHub support?",
+      answer:
+        "iPhone and iPad with iOS 14.0 or later, Android phones and tablets with Android 8.0 or later, and all modern web browsers. Data syncs across devices.",
+    },
+    {
+      id: "faq-backup",
+      category: "getting-started",
+      question: "How do I backup my family data?",
+      answer:
+        "Data is backed up automatically. You can also export it from Settings > Data Export, download specific sections or set up weekly exports to your email.",
+    },
+  ],
+
+  getCategory(id) {
+    return this.categories.find((category) => category.id === id) || null
+  },
+
+  articleUrl(id) {
+    return `${this.PAGE_URL}?article=${encodeURIComponent(id)}`
+  },
+
+  faqUrl(id) {
+    return `${this.PAGE_URL}#${id}`
+  },
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { HELP_CONTENT }
+}
@@ -0,0 +1,423 @@
+/**
+ * Help Search JavaScript
+ * Client-side full-text index over help-center categories, articles and FAQ entries
+ */
+
+// ===== CONSTANTS AND CONFIGURATION =====
+const HELP_SEARCH_CONFIG = {
+  // Relative weight of a match in each field
+  FIELD_WEIGHTS: {
+    title: 4,
+    keywords: 2,
+    category: 1.5,
+    body: 1,
+  },
+
+  // How much a match counts, by how the query term matched
+  MATCH_SCORES: {
+    exact: 1,
+    synonym: 0.8,
+    prefix: 0.6,
+    fuzzy: 0.5,
+  },
+
+  // Terms shorter than this only match whole words
+  MIN_PREFIX_LENGTH: 3,
+  // Terms shorter than this are never fuzzy-matched; longer terms allow more typos
+  MIN_FUZZY_LENGTH: 4,
+  LONG_TERM_LENGTH: 8,
+  MAX_RESULTS: 10,
+
+  STOP_WORDS: [
+    "a", "an", "and", "are", "as", "at", "be", "by", "can", "do", "does", "for", "from", "how", "i", "in", "is",
+    "it", "my", "of", "on", "or", "the", "to", "what", "when", "where", "which", "who", "why", "with", "you", "your",
+  ],
+}
+
+/**
+ * Words people use mapped to the words the help content uses.
+ * Each key is matched both ways, so "baby" finds "newborn" and "newborn" finds "baby".
+ */
+const HELP_SEARCH_SYNONYMS = {
+  newborn: ["baby", "babies", "infant", "toddler"],
+  child: ["kid", "kids", "children", "son", "daughter"],
+  pet: ["dog", "dogs", "cat", "cats", "puppy", "kitten", "animal"],
+  vet: ["veterinarian", "vets"],
+  billing: ["payment", "payments", "pay", "price", "pricing", "cost", "subscription", "plan", "charge", "refund"],
+  expense: ["spending", "money", "purchase", "bill"],
+  reward: ["points", "prize", "prizes", "incentive", "allowance"],
+  badge: ["achievement", "trophy"],
+  calendar: ["schedule", "agenda", "planner"],
+  event: ["appointment", "meeting"],
+  task: ["chore", "chores", "todo"],
+  invite: ["add", "join"],
+  notification: ["alert", "alerts", "reminder", "reminders", "push"],
+  backup: ["export", "restore", "save"],
+  account: ["login", "signin", "profile", "signup"],
+  delete: ["remove", "cancel", "close"],
+}
+
+// ===== UTILITY FUNCTIONS =====
+
+/**
+ * Escape text for safe insertion into HTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+}
+
+/**
+ * Escape text for use inside a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+}
+
+/**
+ * Return HTML for `text` with every word starting with one of `terms` wrapped in <mark>
+ */
+function highlightMatches(text, terms) {
+  const escaped = escapeHtml(text)
+  if (!terms || terms.length === 0) return escaped
+
+  const pattern = terms
+    .map((term) => escapeRegExp(escapeHtml(term)))
+    .sort((a, b) => b.length - a.length)
+    .join("|")
+
+  return escaped.replace(new RegExp(`\\b(${pattern})`, "gi"), "<mark>$1</mark>")
+}
+
+/**
+ * Light suffix-stripping stemmer, so "inviting", "invited" and "invites" all index as "invit"
+ */
+function stemWord(word) {
+  if (word.length <= 3) return word
+
+  let stem = word
+  if (stem.endsWith("ies") && stem.length > 4) stem = `${stem.slice(0, -3)}y`
+  else if (stem.endsWith("sses")) stem = stem.slice(0, -2)
+  else if (stem.endsWith("s") && !stem.endsWith("ss") && !stem.endsWith("us")) stem = stem.slice(0, -1)
+
+  if (stem.endsWith("ing") && stem.length > 5) stem = stem.slice(0, -3)
+  else if (stem.endsWith("ed") && stem.length > 4) stem = stem.slice(0, -2)
+
+  if (stem.endsWith("e") && stem.length > 4) stem = stem.slice(0, -1)
+
+  return stem
+}
+
+/**
+ * Damerau-Levenshtein distance (with adjacent transpositions), stopping early past `max`
+ */
+function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1
+
+  let previousPrevious = null
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    let rowMin = i
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+
+      if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousPrevious[j - 2] + 1)
+      }
+      rowMin = Math.min(rowMin, current[j])
+    }
+
+    if (rowMin > max) return max + 1
+    previousPrevious = previous
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+// ===== SEARCH INDEX =====
+
+/**
+ * Full-text index over help documents.
+ * A document is `{ id, type, title, body, keywords, category, categoryTitle, url }`.
+ */
+class HelpSearchIndex {
+  constructor(documents = [], config = HELP_SEARCH_CONFIG, synonyms = HELP_SEARCH_SYNONYMS) {
+    this.config = config
+    this.stopWords = new Set(config.STOP_WORDS)
+    this.synonyms = this.buildSynonymMap(synonyms)
+    this.vocabulary = new Set()
+    // Real words "Did you mean" may offer: titles, keywords and the synonym list, never stems
+    this.suggestionWords = new Set(Object.entries(synonyms).flat(2).flatMap((term) => this.getWords(term)))
+    this.documents = documents.map((document) => this.indexDocument(document))
+  }
+
+  /**
+   * Turn `{ word: [synonyms] }` into a lookup from each stem to all the stems it is equivalent to
+   */
+  buildSynonymMap(synonyms) {
+    const map = new Map()
+
+    Object.entries(synonyms).forEach(([word, alternatives]) => {
+      const group = [word, ...alternatives].map((term) => stemWord(term))
+      group.forEach((stem) => {
+        const related = map.get(stem) || new Set()
+        group.forEach((other) => other !== stem && related.add(other))
+        map.set(stem, related)
+      })
+    })
+
+    return map
+  }
+
+  /**
+   * Build an index from the help-center markup, enriched with HELP_CONTENT summaries when loaded
+   */
+  static fromPage(root = document, content = typeof HELP_CONTENT !== "undefined" ? HELP_CONTENT : null) {
+    const documents = []
+    const articleData = new Map((content?.articles || []).map((article) => [article.id, article]))
+    const faqData = new Map((content?.faqs || []).map((faq) => [faq.id, faq]))
+
+    root.querySelectorAll(".category-card").forEach((card) => {
+      const categoryTitle = card.querySelector("h2")?.textContent.trim() || ""
+      const categoryId = card.dataset.category || null
+
+      card.querySelectorAll(".category-links a").forEach((link) => {
+        const href = link.getAttribute("href")
+        const id = new URL(href, window.location.href).searchParams.get("article") || href.replace(/^#/, "")
+        const data = articleData.get(id)
+
+        documents.push({
+          id,
+          type: "article",
+          title: link.textContent.trim(),
+          body: data?.summary || card.querySelector("p")?.textContent.trim() || "",
+          keywords: data?.keywords || [],
+          category: categoryId || data?.category || null,
+          categoryTitle,
+          url: link.getAttribute("href"),
+        })
+      })
+    })
+
+    root.querySelectorAll(".faq-item").forEach((item, index) => {
+      const id = item.id || `faq-${index + 1}`
+      const data = faqData.get(id)
+
+      documents.push({
+        id,
+        type: "faq",
+        title: item.querySelector("summary")?.textContent.trim() || "",
+        body: item.querySelector(".faq-content")?.textContent.replace(/\s+/g, " ").trim() || "",
+        keywords: data?.keywords || [],
+        category: item.dataset.category || data?.category || null,
+        categoryTitle: "FAQ",
+        url: `#${id}`,
+      })
+    })
+
+    return new HelpSearchIndex(documents)
+  }
+
+  /**
+   * Build an index from the HELP_CONTENT data, for pages that don't contain the help-center markup
+   */
+  static fromContent(content) {
+    const documents = [
+      ...content.faqs.map((faq) => ({
+        id: faq.id,
+        type: "faq",
+        title: faq.question,
+        body: faq.answer,
+        keywords: faq.keywords || [],
+        category: faq.category,
+        categoryTitle: "FAQ",
+        url: content.faqUrl(faq.id),
+      })),
+      ...content.articles.map((article) => ({
+        id: article.id,
+        type: "article",
+        title: article.title,
+        body: article.summary,
+        keywords: article.keywords,
+        category: article.category,
+        categoryTitle: content.getCategory(article.category)?.title || "",
+        url: content.articleUrl(article.id),
+      })),
+    ]
+
+    return new HelpSearchIndex(documents)
+  }
+
+  /**
+   * Split text into lowercase words, without stop words
+   */
+  getWords(text) {
+    return (text || "")
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((word) => word && !this.stopWords.has(word))
+  }
+
+  tokenize(text) {
+    return this.getWords(text).map((word) => stemWord(word))
+  }
+
+  indexDocument(document) {
+    const fields = {
+      title: document.title,
+      keywords: (document.keywords || []).join(" "),
+      category: document.categoryTitle,
+      body: document.body,
+    }
+
+    const tokens = {}
+    Object.entries(fields).forEach(([field, text]) => {
+      const words = this.getWords(text)
+      words.forEach((word) => this.vocabulary.add(word))
+      if (field === "title" || field === "keywords") {
+        words.forEach((word) => this.suggestionWords.add(word))
+      }
+      tokens[field] = [...new Set(words.map((word) => stemWord(word)))]
+    })
+
+    return { ...document, tokens }
+  }
+
+  getMaxTypos(term) {
+    if (term.length < this.config.MIN_FUZZY_LENGTH) return 0
+    return term.length >= this.config.LONG_TERM_LENGTH ? 2 : 1
+  }
+
+  /**
+   * Best match of a query term against a token list.
+   * Returns `{ score, token }`, where score comes from MATCH_SCORES, or null.
+   */
+  matchField(tokens, term) {
+    const scores = this.config.MATCH_SCORES
+    const synonyms = this.synonyms.get(term)
+    const maxTypos = this.getMaxTypos(term)
+    let best = null
+
+    const consider = (score, token) => {
+      if (!best || score > best.score) best = { score, token }
+    }
+
+    for (const token of tokens) {
+      if (token === term) return { score: scores.exact, token }
+
+      if (synonyms?.has(token)) {
+        consider(scores.synonym, token)
+      } else if (term.length >= this.config.MIN_PREFIX_LENGTH && token.startsWith(term)) {
+        consider(scores.prefix, token)
+      } else if (maxTypos > 0 && (!best || best.score < scores.fuzzy)) {
+        if (editDistance(term, token, maxTypos) <= maxTypos) consider(scores.fuzzy, token)
+      }
+    }
+
+    return best
+  }
+
+  /**
+   * Rank documents for a query, optionally within one category. Returns `[{ document, score, terms }]`, best first.
+   */
+  search(query, { limit = this.config.MAX_RESULTS, category = null } = {}) {
+    const terms = [...new Set(this.tokenize(query))]
+    if (terms.length === 0) return []
+
+    const weights = this.config.FIELD_WEIGHTS
+    const phrase = query.trim().toLowerCase()
+
+    return this.documents
+      .filter((document) => !category || document.category === category)
+      .map((document) => {
+        let score = 0
+        let matchedTerms = 0
+        const matchedTokens = new Set()
+
+        terms.forEach((term) => {
+          let termScore = 0
+          Object.entries(document.tokens).forEach(([field, tokens]) => {
+            const match = this.matchField(tokens, term)
+            if (match && match.score * weights[field] > termScore) {
+              termScore = match.score * weights[field]
+              matchedTokens.add(match.token)
+            }
+          })
+
+          if (termScore > 0) {
+            score += termScore
+            matchedTerms++
+          }
+        })
+
+        if (matchedTerms === 0) return null
+
+        // Favour documents that match every term, and titles containing the whole phrase
+        score *= matchedTerms / terms.length
+        if (terms.length > 1 && document.title.toLowerCase().includes(phrase)) {
+          score += weights.title
+        }
+
+        return { document, score, terms: [...matchedTokens] }
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+  }
+
+  /**
+   * "Did you mean" for queries without results: replace each unknown word with the closest
+   * title, keyword or synonym word. Returns null if nothing changes.
+   */
+  suggestCorrection(query) {
+    const words = this.getWords(query)
+    if (words.length === 0) return null
+
+    const candidates = [...this.suggestionWords]
+    let changed = false
+
+    const corrected = words.map((word) => {
+      const stem = stemWord(word)
+      if (this.vocabulary.has(word) || this.synonyms.has(stem)) return word
+
+      const maxTypos = Math.max(1, this.getMaxTypos(word))
+      let best = null
+      let bestDistance = maxTypos + 1
+
+      candidates.forEach((candidate) => {
+        const distance = editDistance(word, candidate, maxTypos)
+        if (distance < bestDistance) {
+          best = candidate
+          bestDistance = distance
+        }
+      })
+
+      if (best) changed = true
+      return best || word
+    })
+
+    return changed ? corrected.join(" ") : null
+  }
+}
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    HELP_SEARCH_CONFIG,
+    HELP_SEARCH_SYNONYMS,
+    stemWord,
+    editDistance,
+    escapeHtml,
+    highlightMatches,
+    HelpSearchIndex,
+  }
+}
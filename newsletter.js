@@ -0,0 +1,229 @@
+/**
+ * Newsletter Subscription JavaScript
+ * Double opt-in newsletter signup with a consent record, shared by the contact form
+ * and the standalone signup forms (`.newsletter-form`) used across the site
+ */
+
+// ===== CONSTANTS AND CONFIGURATION =====
+const NEWSLETTER_CONFIG = {
+  // API endpoints (replace with actual endpoints)
+  SUBSCRIBE_URL: "/api/newsletter/subscribe",
+  REQUEST_TIMEOUT: 10000,
+
+  // Bump whenever the consent wording shown next to a signup checkbox changes
+  CONSENT_WORDING_VERSION: "2025-01",
+  CONSENT_STORAGE_KEY: "familyhub_newsletter_consent",
+
+  EMAIL_PATTERN: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+
+  MESSAGES: {
+    PENDING: "Almost there! Check your inbox and click the link to confirm your subscription.",
+    ALREADY_SUBSCRIBED: "You're already subscribed. Thanks for staying in touch!",
+    INVALID_EMAIL: "Please enter a valid email address",
+    CONSENT_REQUIRED: "Please confirm you'd like to receive our emails",
+    ERROR: "We couldn't sign you up right now. Please try again later.",
+  },
+}
+
+// ===== SUBSCRIPTION SERVICE =====
+
+/**
+ * Sends subscribe requests and keeps a local copy of each consent record.
+ * The server sends the confirmation email; the subscription is only active once the link is clicked.
+ */
+class NewsletterSubscription {
+  constructor(config = NEWSLETTER_CONFIG) {
+    this.config = config
+  }
+
+  /**
+   * Build the consent record that proves what the user agreed to, when and where
+   */
+  createConsentRecord({ source, wording }) {
+    return {
+      id: window.crypto?.randomUUID ? window.crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+      timestamp: new Date().toISOString(),
+      wording_version: this.config.CONSENT_WORDING_VERSION,
+      wording: wording ? wording.trim().replace(/\s+/g, " ") : "",
+      source,
+      source_page: window.location.pathname,
+    }
+  }
+
+  /**
+   * Request a subscription. Resolves with `{ status: "pending" | "subscribed", consent }`.
+   */
+  async subscribe({ email, name = "", source = "unknown", wording = "" }) {
+    if (!this.config.EMAIL_PATTERN.test(email || "")) {
+      throw new Error(this.config.MESSAGES.INVALID_EMAIL)
+    }
+
+    const consent = this.createConsentRecord({ source, wording })
+    const controller = new AbortController()
+    const timeoutId = setTimeout(() => controller.abort(), this.config.REQUEST_TIMEOUT)
+
+    let response
+    try {
+      response = await fetch(this.config.SUBSCRIBE_URL, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        body: JSON.stringify({ email, name, consent }),
+        signal: controller.signal,
+      })
+    } catch (error) {
+      throw new Error(this.config.MESSAGES.ERROR)
+    } finally {
+      clearTimeout(timeoutId)
+    }
+
+    // 409: the address is already on the list and confirmed
+    if (response.status === 409) {
+      return { status: "subscribed", consent }
+    }
+
+    if (!response.ok) {
+      throw new Error(this.config.MESSAGES.ERROR)
+    }
+
+    this.saveConsentRecord({ ...consent, status: "pending_confirmation" })
+    return { status: "pending", consent }
+  }
+
+  getConsentRecords() {
+    try {
+      const records = JSON.parse(localStorage.getItem(this.config.CONSENT_STORAGE_KEY))
+      return Array.isArray(records) ? records : []
+    } catch (error) {
+      return []
+    }
+  }
+
+  saveConsentRecord(record) {
+    try {
+      const records = [...this.getConsentRecords(), record]
+      localStorage.setItem(this.config.CONSENT_STORAGE_KEY, JSON.stringify(records))
+    } catch (error) {
+      console.warn("Unable to store newsletter consent record:", error)
+    }
+  }
+
+  getMessage(status) {
+    return status === "subscribed" ? this.config.MESSAGES.ALREADY_SUBSCRIBED : this.config.MESSAGES.PENDING
+  }
+}
+
+// ===== STANDALONE SIGNUP FORM =====
+
+/**
+ * Standalone signup form. Expects an email input, a consent checkbox with a label,
+ * a submit button and a `.newsletter-status` element.
+ */
+class NewsletterSignupForm {
+  constructor(form, subscription = new NewsletterSubscription()) {
+    this.form = form
+    this.subscription = subscription
+    this.emailField = form.querySelector('input[type="email"]')
+    this.consentField = form.querySelector('input[type="checkbox"]')
+    this.submitButton = form.querySelector('button[type="submit"]')
+    this.status = form.querySelector(".newsletter-status")
+    this.source = form.dataset.newsletterSource || "newsletter_form"
+    this.isSubmitting = false
+
+    this.init()
+  }
+
+  init() {
+    if (!this.emailField || !this.consentField) {
+      console.warn("Newsletter form is missing its email or consent field")
+      return
+    }
+
+    this.form.addEventListener("submit", (e) => {
+      e.preventDefault()
+      this.handleSubmit()
+    })
+  }
+
+  async handleSubmit() {
+    if (this.isSubmitting) return
+
+    const email = this.emailField.value.trim()
+
+    if (!NEWSLETTER_CONFIG.EMAIL_PATTERN.test(email)) {
+      this.showStatus(NEWSLETTER_CONFIG.MESSAGES.INVALID_EMAIL, "error", this.emailField)
+      return
+    }
+
+    if (!this.consentField.checked) {
+      this.showStatus(NEWSLETTER_CONFIG.MESSAGES.CONSENT_REQUIRED, "error", this.consentField)
+      return
+    }
+
+    this.setSubmittingState(true)
+
+    try {
+      const { status } = await this.subscription.subscribe({
+        email,
+        source: this.source,
+        wording: this.consentField.labels?.[0]?.textContent,
+      })
+
+      this.form.reset()
+      this.showStatus(this.subscription.getMessage(status), "success")
+      this.trackSignup(status)
+    } catch (error) {
+      this.showStatus(error.message, "error")
+    } finally {
+      this.setSubmittingState(false)
+    }
+  }
+
+  showStatus(message, type, invalidField = null) {
+    this.emailField.removeAttribute("aria-invalid")
+    this.consentField.removeAttribute("aria-invalid")
+
+    if (invalidField) {
+      invalidField.setAttribute("aria-invalid", "true")
+      invalidField.focus()
+    }
+
+    if (this.status) {
+      this.status.textContent = message
+      this.status.className = `newsletter-status newsletter-status-${type}`
+    }
+  }
+
+  setSubmittingState(isSubmitting) {
+    this.isSubmitting = isSubmitting
+
+    if (this.submitButton) {
+      this.submitButton.disabled = isSubmitting
+      this.submitButton.classList.toggle("loading", isSubmitting)
+    }
+  }
+
+  trackSignup(status) {
+    window.FamilyHubApp?.getComponent("analyticsHandler")?.trackEvent("newsletter_subscribe_requested", {
+      source: this.source,
+      status,
+    })
+  }
+}
+
+// ===== APPLICATION STARTUP =====
+document.addEventListener("DOMContentLoaded", () => {
+  const subscription = new NewsletterSubscription()
+  document.querySelectorAll(".newsletter-form").forEach((form) => new NewsletterSignupForm(form, subscription))
+})
+
+// Export for testing
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    NEWSLETTER_CONFIG,
+    NewsletterSubscription,
+    NewsletterSignupForm,
+  }
+}
@@ -26,6 +26,106 @@ const CONFIG = {
     featureCards: ".feature-card",
     smoothScrollLinks: 'a[href^="#"]',
   },
+
+  // Cookie consent. Bump POLICY_VERSION whenever cookie-policy.html changes so visitors are asked again
+  CONSENT: {
+    POLICY_VERSION: "2025-02-14",
+    POLICY_URL: "cookie-policy.html",
+    COOKIE_NAME: "cookie_consent",
+    MAX_AGE_DAYS: 365,
+    CATEGORIES: [
+      {
+        id: "necessary",
+        title: "Strictly necessary",
+        description: "Keep you signed in, keep the site secure and remember your cookie choices.",
+        required: true,
+      },
+      {
+        id: "analytics",
+        title: "Analytics & performance",
+        description: "Show us which pages are used, what people search for and how fast pages load.",
+      },
+      {
+        id: "functional",
+        title: "Functional",
+        description: "Remember unsent messages, recent help searches and your FAQ votes on this device.",
+      },
+      {
+        id: "marketing",
+        title: "Marketing",
+        description: "Measure our campaigns and show relevant FamilyHub offers on other sites.",
+      },
+    ],
+  },
+
+  // Analytics delivery. ADAPTER picks the vendor: "json", "ga4" or "plausible". Development hosts and
+  // debug mode (see analytics-events.js) use DEVELOPMENT_ADAPTER, which logs batches instead of sending them.
+  ANALYTICS: {
+    ADAPTER: "json",
+    DEVELOPMENT_ADAPTER: "console",
+    BATCH_SIZE: 10,
+    FLUSH_INTERVAL: 5000,
+    MAX_QUEUE_SIZE: 200,
+    MAX_RETRIES: 3,
+    RETRY_BASE_DELAY: 1000,
+    MAX_RETRY_DELAY: 30000,
+    CLIENT_ID_STORAGE_KEY: "familyhub_analytics_client_id",
+    // Visits: a session ends after TIMEOUT without events, or when the visitor arrives from a new campaign
+    SESSION: {
+      STORAGE_KEY: "familyhub_analytics_session",
+      FIRST_VISIT_STORAGE_KEY: "familyhub_analytics_first_visit",
+      TIMEOUT: 30 * 60 * 1000,
+      CAMPAIGN_PARAMS: [
+        "utm_source",
+        "utm_medium",
+        "utm_campaign",
+        "utm_term",
+        "utm_content",
+        "utm_id",
+        "gclid",
+        "gbraid",
+        "wbraid",
+        "fbclid",
+        "msclkid",
+      ],
+    },
+    // Impressions: an element counts as seen once VISIBLE_RATIO of it (or of the viewport) shows for MIN_VISIBLE_TIME
+    IMPRESSIONS: {
+      TARGETS: {
+        feature_card: ".feature-card",
+        special_feature: ".special-feature",
+        reward_item: ".reward-item",
+        section: "main > section",
+      },
+      VISIBLE_RATIO: 0.5,
+      MIN_VISIBLE_TIME: 1000,
+    },
+    ADAPTERS: {
+      // Our own collector (replace with actual endpoint)
+      json: { ENDPOINT: "/api/analytics/events" },
+      // GA4 Measurement Protocol
+      ga4: { ENDPOINT: "https://www.google-analytics.com/mp/collect", MEASUREMENT_ID: "", API_SECRET: "" },
+      // Plausible Events API, also accepted by compatible self-hosted collectors
+      plausible: { ENDPOINT: "https://plausible.io/api/event", DOMAIN: "familyhub.com" },
+    },
+  },
+
+  // Command palette (Ctrl/Cmd+K or "/"): pages whose headings and section ids make up the site map
+  COMMAND_PALETTE: {
+    PAGES: [
+      { url: "index.html", title: "Home" },
+      { url: "help-center.html", title: "Help Center" },
+      { url: "contact.html", title: "Contact Us" },
+      { url: "privacy-policy.html", title: "Privacy Policy" },
+      { url: "cookie-policy.html", title: "Cookie Policy" },
+      { url: "terms-of-service.html", title: "Terms of Service" },
+      { url: "data-processing.html", title: "Data Processing Agreement" },
+      { url: "accessibility.html", title: "Accessibility Statement" },
+    ],
+    SECTION_SELECTOR: "section[id], article[id], details[id], form[id], h2[id], h3[id]",
+    STORAGE_KEY: "familyhub_site_map",
+    MAX_RESULTS: 12,
+  },
 }
 
 // ===== 2. UTILITY FUNCTIONS =====
@@ -702,18 +802,720 @@ class AccessibilityHandler {
   }
 }
 
-// ===== 9. ANALYTICS AND TRACKING =====
+// ===== 9. COOKIE CONSENT =====
+
+/**
+ * Consent Manager
+ * Reads and stores the visitor's cookie choices in the `cookie_consent` cookie. A choice made
+ * under an older policy version counts as no choice, so the visitor is asked again.
+ * Saving dispatches `consent:change` on the document with `{ categories, previous }`.
+ */
+class ConsentManager {
+  constructor(config = CONFIG.CONSENT) {
+    this.config = config
+  }
+
+  /**
+   * The stored `{ version, timestamp, categories }`, or null if there is no choice for the current policy
+   */
+  getConsent() {
+    const prefix = `${this.config.COOKIE_NAME}=`
+    const cookie = document.cookie.split("; ").find((part) => part.startsWith(prefix))
+    if (!cookie) return null
+
+    try {
+      const consent = JSON.parse(decodeURIComponent(cookie.slice(prefix.length)))
+      return consent?.version === this.config.POLICY_VERSION ? consent : null
+    } catch (error) {
+      return null
+    }
+  }
+
+  needsPrompt() {
+    return this.getConsent() === null
+  }
+
+  isRequired(category) {
+    return this.config.CATEGORIES.some(({ id, required }) => id === category && required)
+  }
+
+  hasConsent(category) {
+    return this.isRequired(category) || this.getConsent()?.categories?.[category] === true
+  }
+
+  /**
+   * Store a choice for every category from `choices` (`{ analytics: true, ... }`); required categories are always on
+   */
+  save(choices) {
+    const previous = this.getConsent()?.categories || {}
+    const categories = Object.fromEntries(
+      this.config.CATEGORIES.map(({ id, required }) => [id, Boolean(required || choices[id])]),
+    )
+    const consent = { version: this.config.POLICY_VERSION, timestamp: new Date().toISOString(), categories }
+    const value = encodeURIComponent(JSON.stringify(consent))
+    const maxAge = this.config.MAX_AGE_DAYS * 24 * 60 * 60
+
+    document.cookie = `${this.config.COOKIE_NAME}=${value}; max-age=${maxAge}; path=/; SameSite=Lax`
+    document.dispatchEvent(new CustomEvent("consent:change", { detail: { categories, previous } }))
+
+    return consent
+  }
+
+  acceptAll() {
+    return this.save(Object.fromEntries(this.config.CATEGORIES.map(({ id }) => [id, true])))
+  }
+
+  rejectAll() {
+    return this.save({})
+  }
+}
+
+/**
+ * Whether the visitor's stored choice allows a cookie category, for components outside FamilyHubApp
+ */
+function hasCookieConsent(category) {
+  return new ConsentManager().hasConsent(category)
+}
+
+/**
+ * Cookie Consent
+ * Banner shown until the visitor chooses under the current policy version, and the preference
+ * center dialog opened from the banner or any `[data-cookie-preferences]` control (the page footers)
+ */
+class CookieConsent {
+  constructor(consentManager = new ConsentManager()) {
+    this.consentManager = consentManager
+    this.isOpen = false
+    this.previousFocus = null
+
+    this.init()
+  }
+
+  init() {
+    this.createElements()
+    this.bindEvents()
+
+    if (this.consentManager.needsPrompt()) {
+      this.banner.hidden = false
+    }
+  }
+
+  createElements() {
+    const { CATEGORIES, POLICY_URL } = this.consentManager.config
+
+    this.banner = document.createElement("div")
+    this.banner.className = "cookie-banner"
+    this.banner.hidden = true
+    this.banner.setAttribute("role", "region")
+    this.banner.setAttribute("aria-label", "Cookie consent")
+    this.banner.innerHTML = `
+      <p class="cookie-banner-text">
+        We use strictly necessary cookies to run FamilyHub. With your permission we'd also like to use analytics,
+        functional and marketing cookies. <a href="${POLICY_URL}">Read our Cookie Policy</a>
+      </p>
+      <div class="cookie-banner-actions">
+        <button type="button" class="btn btn-secondary" data-consent-action="reject">Reject non-essential</button>
+        <button type="button" class="btn btn-secondary" data-consent-action="customize">Manage preferences</button>
+        <button type="button" class="btn btn-primary" data-consent-action="accept">Accept all</button>
+      </div>
+    `
+
+    const categories = CATEGORIES.map(
+      ({ id, title, description, required }) => `
+        <div class="cookie-preference">
+          <input type="checkbox" id="cookie-consent-${id}" name="${id}"
+            aria-describedby="cookie-consent-${id}-description" ${required ? "checked disabled" : ""}>
+          <label for="cookie-consent-${id}">
+            ${title}${required ? ' <span class="cookie-preference-required">Always active</span>' : ""}
+          </label>
+          <p id="cookie-consent-${id}-description" class="cookie-preference-description">${description}</p>
+        </div>
+      `,
+    ).join("")
+
+    this.dialog = document.createElement("div")
+    this.dialog.className = "cookie-preferences"
+    this.dialog.hidden = true
+    this.dialog.innerHTML = `
+      <div class="cookie-preferences-backdrop"></div>
+      <div class="cookie-preferences-dialog" role="dialog" aria-modal="true" aria-labelledby="cookie-preferences-title">
+        <h2 id="cookie-preferences-title">Cookie preferences</h2>
+        <p>Choose which cookies FamilyHub may use. You can change your mind at any time from the link in the page
+          footer. <a href="${POLICY_URL}">Read our Cookie Policy</a></p>
+        <form class="cookie-preferences-form">
+          ${categories}
+          <div class="cookie-preferences-actions">
+            <button type="button" class="btn btn-secondary" data-consent-action="reject">Reject non-essential</button>
+            <button type="submit" class="btn btn-secondary">Save preferences</button>
+            <button type="button" class="btn btn-primary" data-consent-action="accept">Accept all</button>
+          </div>
+        </form>
+      </div>
+    `
+
+    this.form = this.dialog.querySelector(".cookie-preferences-form")
+    document.body.append(this.banner, this.dialog)
+  }
+
+  bindEvents() {
+    document.addEventListener("click", (e) => {
+      if (e.target.closest("[data-cookie-preferences]")) {
+        e.preventDefault()
+        this.open()
+      }
+    })
+
+    const handleAction = (e) => {
+      const action = e.target.closest("[data-consent-action]")?.dataset.consentAction
+      if (action === "accept") this.choose(() => this.consentManager.acceptAll())
+      if (action === "reject") this.choose(() => this.consentManager.rejectAll())
+      if (action === "customize") this.open()
+    }
+    this.banner.addEventListener("click", handleAction)
+    this.dialog.addEventListener("click", handleAction)
+
+    this.form.addEventListener("submit", (e) => {
+      e.preventDefault()
+      const choices = Object.fromEntries([...this.form.elements].map((field) => [field.name, field.checked]))
+      this.choose(() => this.consentManager.save(choices))
+    })
+
+    this.dialog.querySelector(".cookie-preferences-backdrop").addEventListener("click", () => this.close())
+    this.dialog.addEventListener("keydown", (e) => this.handleKeydown(e))
+  }
+
+  choose(saveChoice) {
+    saveChoice()
+    this.banner.hidden = true
+    this.close()
+  }
+
+  open() {
+    if (this.isOpen) return
+
+    this.consentManager.config.CATEGORIES.forEach(({ id }) => {
+      this.form.elements[id].checked = this.consentManager.hasConsent(id)
+    })
+
+    this.previousFocus = document.activeElement
+    this.isOpen = true
+    this.dialog.hidden = false
+    document.body.style.overflow = "hidden"
+    this.form.querySelector("input:not([disabled])")?.focus()
+  }
+
+  close() {
+    if (!this.isOpen) return
+
+    this.isOpen = false
+    this.dialog.hidden = true
+    document.body.style.overflow = ""
+
+    // The banner button that opened the dialog may be hidden by now
+    const returnFocus = this.previousFocus && !this.previousFocus.closest("[hidden]") ? this.previousFocus : null
+    returnFocus?.focus?.()
+  }
+
+  getFocusableElements() {
+    return [...this.dialog.querySelectorAll("a[href], button, input:not([disabled])")]
+  }
+
+  handleKeydown(e) {
+    if (e.key === "Escape") {
+      e.preventDefault()
+      e.stopPropagation()
+      this.close()
+      return
+    }
+
+    if (e.key !== "Tab") return
+
+    // Keep focus inside the dialog
+    const focusable = this.getFocusableElements()
+    const first = focusable[0]
+    const last = focusable[focusable.length - 1]
+
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault()
+      last.focus()
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault()
+      first.focus()
+    }
+  }
+}
+
+// ===== 10. ANALYTICS AND TRACKING =====
+
+/**
+ * Analytics adapters turn a batch of events into the HTTP requests a vendor expects.
+ * Each returns `[{ url, body, headers, beaconType, events }]` from `buildRequests(events)`, where `events`
+ * are the events that request carries.
+ * An event is `{ name, schema_version, timestamp, context, properties }` (see analytics-events.js).
+ */
+
+/**
+ * Logs batches instead of sending them; used during development
+ */
+class ConsoleAnalyticsAdapter {
+  constructor() {
+    this.maxBatchSize = Infinity
+  }
+
+  buildRequests(events) {
+    console.log("Analytics batch:", events)
+    return []
+  }
+}
+
+/**
+ * POSTs batches as `{ events, sent_at }` to a JSON collector
+ */
+class JsonAnalyticsAdapter {
+  constructor({ ENDPOINT }) {
+    this.endpoint = ENDPOINT
+    this.maxBatchSize = Infinity
+  }
+
+  buildRequests(events) {
+    return [
+      {
+        url: this.endpoint,
+        body: JSON.stringify({ events, sent_at: Date.now() }),
+        headers: { "Content-Type": "application/json" },
+        beaconType: "application/json",
+        events,
+      },
+    ]
+  }
+}
+
+/**
+ * GA4 Measurement Protocol: up to 25 events per request, flat scalar params
+ */
+class Ga4AnalyticsAdapter {
+  constructor({ ENDPOINT, MEASUREMENT_ID, API_SECRET }, getClientId = getAnalyticsClientId) {
+    const params = new URLSearchParams({ measurement_id: MEASUREMENT_ID, api_secret: API_SECRET })
+    this.url = `${ENDPOINT}?${params}`
+    this.getClientId = getClientId
+    this.maxBatchSize = 25
+  }
+
+  /**
+   * `timestamp_micros` belongs to the whole request, so events are grouped into one request per timestamp;
+   * otherwise GA4 would date delayed or retried events by their upload time
+   */
+  buildRequests(events) {
+    const groups = new Map()
+    events.forEach((event) => groups.set(event.timestamp, [...(groups.get(event.timestamp) || []), event]))
+
+    return [...groups].map(([timestamp, group]) => {
+      const payload = {
+        client_id: this.getClientId(),
+        timestamp_micros: timestamp * 1000,
+        events: group.map((event) => ({
+          name: event.name.replace(/[^a-zA-Z0-9_]/g, "_").slice(0, 40),
+          params: {
+            ...toScalarProperties({ ...event.context, ...event.properties }, 100),
+            schema_version: event.schema_version,
+          },
+        })),
+      }
+
+      return {
+        url: this.url,
+        body: JSON.stringify(payload),
+        headers: {},
+        beaconType: "text/plain;charset=UTF-8",
+        events: group,
+      }
+    })
+  }
+}
+
+/**
+ * Plausible-style Events API: one request per event
+ */
+class PlausibleAnalyticsAdapter {
+  constructor({ ENDPOINT, DOMAIN }) {
+    this.endpoint = ENDPOINT
+    this.domain = DOMAIN
+    this.maxBatchSize = Infinity
+  }
+
+  buildRequests(events) {
+    return events.map((event) => {
+      // The page goes in `url` and the browser sends its own user agent; session and campaign fields are props
+      const { page_url: pageUrl, ...context } = event.context
+      delete context.user_agent
+
+      return {
+        url: this.endpoint,
+        body: JSON.stringify({
+          name: event.name,
+          domain: this.domain,
+          url: pageUrl,
+          referrer: redactAnalyticsUrl(document.referrer) || null,
+          props: { ...toScalarProperties({ ...context, ...event.properties }), schema_version: event.schema_version },
+        }),
+        headers: { "Content-Type": "application/json" },
+        beaconType: "text/plain;charset=UTF-8",
+        events: [event],
+      }
+    })
+  }
+}
+
+const ANALYTICS_ADAPTERS = {
+  console: ConsoleAnalyticsAdapter,
+  json: JsonAnalyticsAdapter,
+  ga4: Ga4AnalyticsAdapter,
+  plausible: PlausibleAnalyticsAdapter,
+}
+
+/**
+ * Keep only string, number and boolean properties, for vendors that reject nested values
+ */
+function toScalarProperties(properties, maxLength = Infinity) {
+  return Object.fromEntries(
+    Object.entries(properties)
+      .filter(([, value]) => ["string", "number", "boolean"].includes(typeof value))
+      .map(([key, value]) => [key, typeof value === "string" ? value.slice(0, maxLength) : value]),
+  )
+}
+
+/**
+ * Anonymous, persistent client id required by some vendors. Only created once a batch is sent,
+ * so never before analytics consent.
+ */
+function getAnalyticsClientId(storageKey = CONFIG.ANALYTICS.CLIENT_ID_STORAGE_KEY) {
+  try {
+    let clientId = localStorage.getItem(storageKey)
+    if (!clientId) {
+      clientId = `${Math.floor(Math.random() * 1e10)}.${Math.floor(Date.now() / 1000)}`
+      localStorage.setItem(storageKey, clientId)
+    }
+    return clientId
+  } catch (error) {
+    return `${Math.floor(Math.random() * 1e10)}.${Math.floor(Date.now() / 1000)}`
+  }
+}
+
+function clearAnalyticsClientId(storageKey = CONFIG.ANALYTICS.CLIENT_ID_STORAGE_KEY) {
+  try {
+    localStorage.removeItem(storageKey)
+  } catch (error) {
+    console.warn("Unable to remove analytics client id:", error)
+  }
+}
+
+/**
+ * Analytics Session
+ * Groups events into anonymous visits: a random id that rotates after inactivity or on a new campaign
+ * landing, whether this is the browser's first visit, and the external referrer and campaign
+ * parameters of the landing page, kept for the rest of the session.
+ */
+class AnalyticsSession {
+  constructor(config = CONFIG.ANALYTICS.SESSION) {
+    this.config = config
+    this.session = null
+  }
+
+  /**
+   * The current session, starting a new one if needed. Each call counts as activity.
+   * Campaign parameters and ad click ids are only read and kept with `includeCampaign` (marketing consent).
+   */
+  get({ includeCampaign = false } = {}) {
+    const now = Date.now()
+    const campaign = includeCampaign ? this.getCampaign() : {}
+    let session = this.load() || this.session
+
+    const isExpired = !session || now - session.lastActivity > this.config.TIMEOUT
+    const isNewCampaign =
+      Object.keys(campaign).length > 0 && JSON.stringify(campaign) !== JSON.stringify(session?.campaign)
+
+    if (isExpired || isNewCampaign) {
+      session = this.start(campaign, now)
+    }
+    if (!includeCampaign) {
+      session.campaign = {}
+    }
+
+    session.lastActivity = now
+    this.save(session)
+    return session
+  }
+
+  start(campaign, now) {
+    const id = window.crypto?.randomUUID
+      ? window.crypto.randomUUID()
+      : `${now.toString(36)}-${Math.random().toString(36).slice(2)}`
+
+    return {
+      id,
+      startedAt: now,
+      lastActivity: now,
+      isFirstVisit: this.isFirstVisit(now),
+      referrer: this.getReferrer(),
+      campaign,
+    }
+  }
+
+  /**
+   * Properties added to every event. `first_visit` is left out when it is unknown.
+   */
+  getContext({ includeCampaign = false } = {}) {
+    const session = this.get({ includeCampaign })
+    const context = {
+      session_id: session.id,
+      session_start: session.startedAt,
+      referrer: session.referrer,
+      ...session.campaign,
+    }
+
+    if (session.isFirstVisit !== null) {
+      context.first_visit = session.isFirstVisit
+    }
+    return context
+  }
+
+  getCampaign() {
+    const params = new URLSearchParams(window.location.search)
+    return Object.fromEntries(
+      this.config.CAMPAIGN_PARAMS.filter((name) => params.get(name)).map((name) => [
+        name,
+        params.get(name).slice(0, 100),
+      ]),
+    )
+  }
+
+  /**
+   * The referring page without its query string, or "" for direct visits and our own pages
+   */
+  getReferrer() {
+    try {
+      const referrer = new URL(document.referrer)
+      return referrer.origin === window.location.origin ? "" : `${referrer.origin}${referrer.pathname}`
+    } catch (error) {
+      return ""
+    }
+  }
+
+  isFirstVisit(now) {
+    try {
+      if (localStorage.getItem(this.config.FIRST_VISIT_STORAGE_KEY)) return false
+      localStorage.setItem(this.config.FIRST_VISIT_STORAGE_KEY, String(now))
+      return true
+    } catch (error) {
+      // Without storage every visit would look like the first
+      return null
+    }
+  }
+
+  load() {
+    try {
+      return JSON.parse(localStorage.getItem(this.config.STORAGE_KEY))
+    } catch (error) {
+      return null
+    }
+  }
+
+  save(session) {
+    // Kept in memory as well, so visits still group when storage is unavailable
+    this.session = session
+    try {
+      localStorage.setItem(this.config.STORAGE_KEY, JSON.stringify(session))
+    } catch (error) {
+      console.warn("Unable to store analytics session:", error)
+    }
+  }
+
+  clear() {
+    this.session = null
+    try {
+      localStorage.removeItem(this.config.STORAGE_KEY)
+      localStorage.removeItem(this.config.FIRST_VISIT_STORAGE_KEY)
+    } catch (error) {
+      console.warn("Unable to remove analytics session:", error)
+    }
+  }
+}
+
+/**
+ * Build the adapter named by `config.ADAPTER` (`config.DEVELOPMENT_ADAPTER` in development),
+ * falling back to the JSON collector
+ */
+function createAnalyticsAdapter(config = CONFIG.ANALYTICS) {
+  const name = isAnalyticsDevelopment() ? config.DEVELOPMENT_ADAPTER : config.ADAPTER
+  const Adapter = ANALYTICS_ADAPTERS[name]
+
+  if (!Adapter) {
+    console.warn(`Unknown analytics adapter: ${name}`)
+    return new JsonAnalyticsAdapter(config.ADAPTERS.json)
+  }
+
+  return new Adapter(config.ADAPTERS[name] || {})
+}
+
+/**
+ * Analytics Transport
+ * Queues events and delivers them in batches, when the batch is full or on an interval.
+ * Failed batches are retried with exponential backoff; the queue is sent with
+ * `navigator.sendBeacon` when the page is hidden or unloaded.
+ */
+class AnalyticsTransport {
+  constructor(adapter = createAnalyticsAdapter(), config = CONFIG.ANALYTICS) {
+    this.adapter = adapter
+    this.config = config
+    this.queue = []
+    this.isSending = false
+    this.failures = 0
+    this.retryTimer = null
+    this.intervalId = null
+
+    this.handlePageHide = () => this.flush({ useBeacon: true })
+    this.handleVisibilityChange = () => {
+      if (document.visibilityState === "hidden") this.flush({ useBeacon: true })
+    }
+  }
+
+  start() {
+    if (this.intervalId) return
+
+    this.intervalId = setInterval(() => this.flush(), this.config.FLUSH_INTERVAL)
+
+    window.addEventListener("pagehide", this.handlePageHide)
+    document.addEventListener("visibilitychange", this.handleVisibilityChange)
+  }
+
+  stop() {
+    clearInterval(this.intervalId)
+    clearTimeout(this.retryTimer)
+    this.intervalId = null
+    this.retryTimer = null
+
+    window.removeEventListener("pagehide", this.handlePageHide)
+    document.removeEventListener("visibilitychange", this.handleVisibilityChange)
+  }
+
+  /**
+   * Drop everything still queued
+   */
+  clear() {
+    this.queue = []
+  }
+
+  enqueue(event) {
+    this.queue.push({ event, attempts: 0 })
+
+    // Drop the oldest events rather than grow without bound while the collector is unreachable
+    if (this.queue.length > this.config.MAX_QUEUE_SIZE) {
+      this.queue.splice(0, this.queue.length - this.config.MAX_QUEUE_SIZE)
+    }
+
+    if (this.queue.length >= this.config.BATCH_SIZE && !this.retryTimer) {
+      this.flush()
+    }
+  }
+
+  /**
+   * Send the next batch, or with `useBeacon` everything still queued
+   */
+  async flush({ useBeacon = false } = {}) {
+    if (this.queue.length === 0) return
+
+    if (useBeacon) {
+      const items = this.queue.splice(0)
+      this.adapter.buildRequests(items.map((item) => item.event)).forEach((request) => this.sendBeacon(request))
+      return
+    }
+
+    if (this.isSending || this.retryTimer) return
+
+    const batchSize = Math.min(this.config.BATCH_SIZE, this.adapter.maxBatchSize)
+    const items = this.queue.splice(0, batchSize)
+    this.isSending = true
+
+    try {
+      const requests = this.adapter.buildRequests(items.map((item) => item.event))
+      const results = await Promise.allSettled(requests.map((request) => this.send(request)))
+      const failed = requests.filter((request, index) => results[index].status === "rejected")
+
+      if (failed.length > 0) {
+        // Retry only the events of the failed requests, so those already delivered aren't sent twice
+        const failedEvents = new Set(failed.flatMap((request) => request.events))
+        const { reason } = results.find((result) => result.status === "rejected")
+        this.handleFailure(items.filter((item) => failedEvents.has(item.event)), reason)
+      } else {
+        this.failures = 0
+      }
+    } catch (error) {
+      this.handleFailure(items, error)
+    } finally {
+      this.isSending = false
+    }
+  }
+
+  async send({ url, body, headers }) {
+    const response = await fetch(url, { method: "POST", headers, body, keepalive: true })
+
+    // Client errors other than rate limiting will not succeed on retry
+    if (!response.ok && (response.status >= 500 || response.status === 429)) {
+      throw new Error(`Analytics request failed with status ${response.status}`)
+    }
+  }
+
+  /**
+   * Put failed events back at the front of the queue and try again after a backoff delay
+   */
+  handleFailure(items, error) {
+    const retryable = items.filter((item) => ++item.attempts <= this.config.MAX_RETRIES)
+    if (retryable.length < items.length) {
+      console.warn(`Dropping ${items.length - retryable.length} analytics events after repeated failures:`, error)
+    }
+
+    this.queue.unshift(...retryable)
+    this.failures++
+
+    const delay = Math.min(this.config.RETRY_BASE_DELAY * 2 ** (this.failures - 1), this.config.MAX_RETRY_DELAY)
+    const jitter = Math.random() * delay * 0.2
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null
+      this.flush()
+    }, delay + jitter)
+  }
+
+  sendBeacon({ url, body, headers, beaconType }) {
+    if (navigator.sendBeacon?.(url, new Blob([body], { type: beaconType || "text/plain;charset=UTF-8" }))) return
+
+    // The beacon queue is full or unavailable; keepalive lets the request outlive the page
+    fetch(url, { method: "POST", headers, body, keepalive: true }).catch(() => {})
+  }
+}
 
 /**
  * Analytics Handler
+ * Collects and sends events only while the visitor has accepted analytics cookies
  */
 class AnalyticsHandler {
-  constructor() {
+  constructor(
+    transport = new AnalyticsTransport(),
+    consentManager = new ConsentManager(),
+    session = new AnalyticsSession(),
+  ) {
     this.events = []
+    this.transport = transport
+    this.consentManager = consentManager
+    this.session = session
+    this.isEnabled = false
     this.init()
   }
 
   init() {
+    this.setEnabled(this.consentManager.hasConsent("analytics"))
+    document.addEventListener("consent:change", (e) => this.setEnabled(e.detail.categories.analytics))
+
     this.setupEventTracking()
     this.setupPerformanceTracking()
   }
@@ -722,11 +1524,9 @@ class AnalyticsHandler {
     // Track CTA button clicks
     safeQuerySelectorAll(CONFIG.SELECTORS.ctaButtons).forEach((btn) => {
       btn.addEventListener("click", () => {
-        this.trackEvent("CTA_Click", {
+        this.trackEvent("cta_clicked", {
           button_text: btn.textContent.trim(),
           section: this.getSectionName(btn),
-          device_type: getDeviceType(),
-          timestamp: Date.now(),
         })
       })
     })
@@ -735,11 +1535,7 @@ class AnalyticsHandler {
     safeQuerySelectorAll(CONFIG.SELECTORS.featureCards).forEach((card) => {
       card.addEventListener("click", () => {
         const featureName = card.querySelector("h3")?.textContent || "unknown"
-        this.trackEvent("Feature_Interest", {
-          feature_name: featureName,
-          device_type: getDeviceType(),
-          timestamp: Date.now(),
-        })
+        this.trackEvent("feature_card_clicked", { feature_name: featureName })
       })
     })
 
@@ -759,11 +1555,7 @@ class AnalyticsHandler {
       scrollMilestones.forEach((milestone) => {
         if (scrollPercent >= milestone && !trackedMilestones.has(milestone)) {
           trackedMilestones.add(milestone)
-          this.trackEvent("Scroll_Depth", {
-            percentage: milestone,
-            device_type: getDeviceType(),
-            timestamp: Date.now(),
-          })
+          this.trackEvent("scroll_depth_reached", { percentage: milestone })
         }
       })
     }, 1000)
@@ -777,38 +1569,50 @@ class AnalyticsHandler {
       if ("performance" in window) {
         const perfData = performance.getEntriesByType("navigation")[0]
         if (perfData) {
-          this.trackEvent("Page_Performance", {
+          this.trackEvent("page_performance", {
             load_time: Math.round(perfData.loadEventEnd - perfData.fetchStart),
             dom_ready: Math.round(perfData.domContentLoadedEventEnd - perfData.fetchStart),
-            device_type: getDeviceType(),
-            timestamp: Date.now(),
           })
         }
       }
     })
   }
 
-  trackEvent(eventName, properties = {}) {
-    const event = {
-      name: eventName,
-      properties: {
-        ...properties,
-        page_url: window.location.href,
-        user_agent: navigator.userAgent,
-        screen_resolution: `${screen.width}x${screen.height}`,
-        viewport_size: `${window.innerWidth}x${window.innerHeight}`,
-      },
+  /**
+   * Start delivery when consent is given; on withdrawal, drop everything collected so far
+   */
+  setEnabled(isEnabled) {
+    if (isEnabled === this.isEnabled) return
+    this.isEnabled = isEnabled
+
+    if (isEnabled) {
+      this.transport.start()
+      return
     }
 
-    this.events.push(event)
+    this.transport.stop()
+    this.transport.clear()
+    this.clearEvents()
+    this.session.clear()
+    clearAnalyticsClientId()
+  }
 
-    // In production, send to analytics service
-    console.log("Event tracked:", event)
+  /**
+   * Build an event from the shared schema (analytics-events.js) and queue it for delivery.
+   * Returns the event, or null if it wasn't collected.
+   */
+  trackEvent(eventName, properties = {}) {
+    if (!this.isEnabled) return null
+
+    const context = this.session.getContext({ includeCampaign: this.consentManager.hasConsent("marketing") })
+    const event = createAnalyticsEvent(eventName, properties, context)
+    if (!event) return null
+
+    this.events.push(event)
 
-    // Example: Send to Google Analytics
-    // if (typeof gtag !== 'undefined') {
-    //     gtag('event', eventName, properties);
-    // }
+    // Delivered by the adapter configured in CONFIG.ANALYTICS
+    this.transport.enqueue(event)
+    return event
   }
 
   getSectionName(element) {
@@ -816,6 +1620,13 @@ class AnalyticsHandler {
     return section?.id || section?.className || "unknown"
   }
 
+  /**
+   * Send everything queued now, for components that track right before the page goes away
+   */
+  flush(options) {
+    return this.transport.flush(options)
+  }
+
   getEvents() {
     return [...this.events]
   }
@@ -825,7 +1636,480 @@ class AnalyticsHandler {
   }
 }
 
-// ===== 10. ERROR HANDLING =====
+/**
+ * Impression Tracker
+ * Records when each feature card, special feature, reward and page section is first seen and
+ * how long it stays visible. The clock only runs while the tab is visible and analytics consent
+ * is given; visible time is reported per element on `pagehide`.
+ */
+class ImpressionTracker {
+  constructor(analytics, config = CONFIG.ANALYTICS.IMPRESSIONS) {
+    this.analytics = analytics
+    this.config = config
+    this.items = []
+    this.observer = null
+
+    this.init()
+  }
+
+  init() {
+    if (!("IntersectionObserver" in window)) return
+
+    Object.entries(this.config.TARGETS).forEach(([type, selector]) => {
+      safeQuerySelectorAll(selector).forEach((element, index) => {
+        this.items.push({
+          element,
+          type,
+          name: element.id || element.querySelector("h2, h3")?.textContent.trim() || type,
+          position: index + 1,
+          isVisible: false,
+          visibleSince: null,
+          visibleTime: 0,
+          reportedTime: 0,
+          impressed: false,
+          impressionTimer: null,
+        })
+      })
+    })
+
+    if (this.items.length === 0) return
+
+    // Steps of 10%, so sections taller than the viewport still report as they scroll through
+    const thresholds = Array.from({ length: 11 }, (_, i) => i / 10)
+    this.observer = new IntersectionObserver((entries) => this.handleIntersections(entries), { threshold: thresholds })
+    this.items.forEach((item) => this.observer.observe(item.element))
+
+    document.addEventListener("visibilitychange", () => {
+      document.visibilityState === "hidden" ? this.pauseAll() : this.resumeAll()
+    })
+    document.addEventListener("consent:change", (e) => {
+      if (e.detail.categories.analytics) {
+        this.resumeAll()
+      } else {
+        this.pauseAll()
+        this.items.forEach((item) => (item.visibleTime = item.reportedTime = 0))
+      }
+    })
+    window.addEventListener("pagehide", () => this.flush())
+  }
+
+  handleIntersections(entries) {
+    entries.forEach((entry) => {
+      const item = this.items.find((candidate) => candidate.element === entry.target)
+      const isVisible = this.isVisible(entry)
+      if (!item || isVisible === item.isVisible) return
+
+      item.isVisible = isVisible
+      isVisible ? this.startClock(item) : this.stopClock(item)
+    })
+  }
+
+  isVisible(entry) {
+    if (!entry.isIntersecting) return false
+
+    const viewportHeight = entry.rootBounds?.height || window.innerHeight
+    return (
+      entry.intersectionRatio >= this.config.VISIBLE_RATIO ||
+      entry.intersectionRect.height >= viewportHeight * this.config.VISIBLE_RATIO
+    )
+  }
+
+  canCount() {
+    return document.visibilityState !== "hidden" && this.analytics.isEnabled
+  }
+
+  startClock(item) {
+    if (item.visibleSince !== null || !this.canCount()) return
+
+    item.visibleSince = performance.now()
+
+    if (!item.impressed) {
+      item.impressionTimer = setTimeout(() => this.recordImpression(item), this.config.MIN_VISIBLE_TIME)
+    }
+  }
+
+  stopClock(item) {
+    clearTimeout(item.impressionTimer)
+    if (item.visibleSince === null) return
+
+    item.visibleTime += performance.now() - item.visibleSince
+    item.visibleSince = null
+  }
+
+  pauseAll() {
+    this.items.forEach((item) => this.stopClock(item))
+  }
+
+  resumeAll() {
+    this.items.filter((item) => item.isVisible).forEach((item) => this.startClock(item))
+  }
+
+  recordImpression(item) {
+    item.impressed = true
+    this.analytics.trackEvent("element_impression", {
+      element_type: item.type,
+      element_name: item.name,
+      position: item.position,
+    })
+  }
+
+  /**
+   * Report visible time since the last report for every element that was seen, then send it
+   */
+  flush() {
+    this.pauseAll()
+
+    this.items.forEach((item) => {
+      const visibleMs = Math.round(item.visibleTime - item.reportedTime)
+      if (visibleMs <= 0) return
+
+      item.reportedTime = item.visibleTime
+      this.analytics.trackEvent("element_dwell", {
+        element_type: item.type,
+        element_name: item.name,
+        position: item.position,
+        visible_ms: visibleMs,
+        impressed: item.impressed,
+      })
+    })
+
+    // The transport's own pagehide flush may already have run
+    this.analytics.flush({ useBeacon: true })
+  }
+}
+
+// ===== 11. COMMAND PALETTE =====
+
+/**
+ * Site map of every page and its sections, built from each page's headings and section ids.
+ * Other pages are fetched once per session and cached in sessionStorage.
+ */
+class SiteMap {
+  constructor(config = CONFIG.COMMAND_PALETTE) {
+    this.config = config
+    this.entries = null
+  }
+
+  /**
+   * Resolve every entry, building the map on first use
+   */
+  async getEntries() {
+    if (this.entries) return this.entries
+
+    const cached = this.getCachedPages()
+    const pages = await Promise.all(
+      this.config.PAGES.map(async (page) => {
+        if (this.isCurrentPage(page.url)) return this.extractEntries(document, page)
+        if (cached[page.url]) return cached[page.url]
+
+        try {
+          const response = await fetch(page.url)
+          if (!response.ok) throw new Error(`Status ${response.status}`)
+
+          const html = await response.text()
+          const entries = this.extractEntries(new DOMParser().parseFromString(html, "text/html"), page)
+          cached[page.url] = entries
+          return entries
+        } catch (error) {
+          // Offline or opened from disk: the page is still listed, without its sections
+          return [{ type: "page", title: page.title, page: page.title, url: page.url }]
+        }
+      }),
+    )
+
+    this.setCachedPages(cached)
+    this.entries = pages.flat()
+    return this.entries
+  }
+
+  /**
+   * A page entry plus one entry per visible section with an id and a heading, outside the site header, nav and footer
+   */
+  extractEntries(doc, page) {
+    const entries = [{ type: "page", title: page.title, page: page.title, url: page.url }]
+    const seenTitles = new Set()
+
+    doc.querySelectorAll(this.config.SECTION_SELECTOR).forEach((element) => {
+      if (element.closest(`${CONFIG.SELECTORS.header}, nav, footer, [hidden], .command-palette`)) return
+
+      const heading = /^H[1-6]$/.test(element.tagName)
+        ? element
+        : element.querySelector(element.tagName === "DETAILS" ? "summary" : "h1, h2, h3")
+      const title = heading?.textContent.replace(/\s+/g, " ").trim()
+
+      // A section and its heading often both have ids; keep the outer one
+      if (!title || seenTitles.has(title)) return
+
+      seenTitles.add(title)
+      entries.push({ type: "section", title, page: page.title, url: `${page.url}#${element.id}`, id: element.id })
+    })
+
+    return entries
+  }
+
+  isCurrentPage(url) {
+    const normalize = (pathname) => pathname.replace(/\/index\.html$/, "/")
+    return normalize(new URL(url, window.location.href).pathname) === normalize(window.location.pathname)
+  }
+
+  getCachedPages() {
+    try {
+      return JSON.parse(sessionStorage.getItem(this.config.STORAGE_KEY)) || {}
+    } catch (error) {
+      return {}
+    }
+  }
+
+  setCachedPages(pages) {
+    try {
+      sessionStorage.setItem(this.config.STORAGE_KEY, JSON.stringify(pages))
+    } catch (error) {
+      // The map is rebuilt on the next page instead
+    }
+  }
+
+  /**
+   * Entries containing every word of the query, best first. An empty query lists the pages.
+   */
+  search(entries, query) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean)
+    if (words.length === 0) {
+      return entries.filter((entry) => entry.type === "page")
+    }
+
+    return entries
+      .map((entry) => {
+        const title = entry.title.toLowerCase()
+        const haystack = `${title} ${entry.page.toLowerCase()}`
+        if (!words.every((word) => haystack.includes(word))) return null
+
+        let score = words.filter((word) => title.includes(word)).length
+        if (title.startsWith(words[0])) score += 2
+        if (entry.type === "page") score += 1
+        return { entry, score }
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.config.MAX_RESULTS)
+      .map(({ entry }) => entry)
+  }
+}
+
+/**
+ * Command Palette
+ * A modal combobox, opened with Ctrl/Cmd+K or "/", for jumping to any page or section
+ */
+class CommandPalette {
+  constructor(siteMap = new SiteMap()) {
+    this.siteMap = siteMap
+    this.entries = []
+    this.results = []
+    this.activeIndex = -1
+    this.isOpen = false
+    this.previousFocus = null
+
+    this.init()
+  }
+
+  init() {
+    this.createElements()
+    this.bindEvents()
+  }
+
+  createElements() {
+    this.element = document.createElement("div")
+    this.element.className = "command-palette"
+    this.element.hidden = true
+    this.element.innerHTML = `
+      <div class="command-palette-backdrop"></div>
+      <div class="command-palette-dialog" role="dialog" aria-modal="true" aria-labelledby="command-palette-title">
+        <h2 id="command-palette-title" class="sr-only">Jump to a page or section</h2>
+        <input type="text" class="command-palette-input" placeholder="Jump to a page or section..."
+          role="combobox" aria-expanded="true" aria-controls="command-palette-list" aria-autocomplete="list"
+          aria-label="Search pages and sections" autocomplete="off" spellcheck="false">
+        <ul id="command-palette-list" class="command-palette-list" role="listbox" aria-label="Pages and sections"></ul>
+        <p class="command-palette-hint" aria-hidden="true">↑ ↓ to move · Enter to go · Esc to close</p>
+        <div class="sr-only command-palette-status" role="status" aria-live="polite"></div>
+      </div>
+    `
+
+    this.input = this.element.querySelector(".command-palette-input")
+    this.list = this.element.querySelector(".command-palette-list")
+    this.status = this.element.querySelector(".command-palette-status")
+    document.body.appendChild(this.element)
+  }
+
+  bindEvents() {
+    document.addEventListener("keydown", (e) => {
+      const isShortcut = (e.ctrlKey || e.metaKey) && e.key?.toLowerCase() === "k"
+      const isSlash = e.key === "/" && !e.ctrlKey && !e.metaKey && !e.altKey && !this.isEditable(e.target)
+
+      if (isShortcut || (isSlash && !this.isOpen)) {
+        e.preventDefault()
+        this.isOpen ? this.close() : this.open()
+      }
+    })
+
+    this.input.addEventListener("input", () => this.update())
+    this.input.addEventListener("keydown", (e) => this.handleKeydown(e))
+
+    this.element.querySelector(".command-palette-backdrop").addEventListener("click", () => this.close())
+
+    // Keep focus in the input while clicking an option
+    this.list.addEventListener("mousedown", (e) => e.preventDefault())
+    this.list.addEventListener("click", (e) => {
+      const option = e.target.closest('[role="option"]')
+      if (option) this.go(this.results[Number(option.dataset.index)])
+    })
+  }
+
+  isEditable(element) {
+    return element.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(element.tagName)
+  }
+
+  async open() {
+    this.previousFocus = document.activeElement
+    this.isOpen = true
+    this.element.hidden = false
+    document.body.style.overflow = "hidden"
+    this.input.value = ""
+    this.input.focus()
+
+    this.status.textContent = "Loading pages..."
+    this.entries = await this.siteMap.getEntries()
+    if (this.isOpen) this.update()
+  }
+
+  close({ restoreFocus = true } = {}) {
+    if (!this.isOpen) return
+
+    this.isOpen = false
+    this.element.hidden = true
+    document.body.style.overflow = ""
+    this.input.removeAttribute("aria-activedescendant")
+
+    if (restoreFocus) this.previousFocus?.focus?.()
+  }
+
+  handleKeydown(e) {
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault()
+        this.setActive(this.activeIndex + 1)
+        break
+      case "ArrowUp":
+        e.preventDefault()
+        this.setActive(this.activeIndex - 1)
+        break
+      case "Home":
+      case "End":
+        if (!e.ctrlKey) return
+        e.preventDefault()
+        this.setActive(e.key === "Home" ? 0 : this.results.length - 1)
+        break
+      case "Enter":
+        e.preventDefault()
+        if (this.results[this.activeIndex]) this.go(this.results[this.activeIndex])
+        break
+      case "Escape":
+        e.preventDefault()
+        e.stopPropagation()
+        this.close()
+        break
+      case "Tab":
+        // The input is the only stop in the dialog
+        e.preventDefault()
+        break
+    }
+  }
+
+  update() {
+    this.results = this.siteMap.search(this.entries, this.input.value.trim())
+    this.render()
+    this.setActive(0)
+
+    const count = this.results.length
+    this.status.textContent = count === 0 ? "No matching pages or sections" : `${count} result${count === 1 ? "" : "s"}`
+  }
+
+  render() {
+    this.list.innerHTML = ""
+
+    this.results.forEach((entry, index) => {
+      const option = document.createElement("li")
+      option.id = `command-palette-option-${index}`
+      option.className = "command-palette-option"
+      option.setAttribute("role", "option")
+      option.setAttribute("aria-selected", "false")
+      option.dataset.index = index
+
+      const title = document.createElement("span")
+      title.className = "command-palette-option-title"
+      title.textContent = entry.title
+
+      const page = document.createElement("span")
+      page.className = "command-palette-option-page"
+      page.textContent = entry.type === "page" ? "Page" : entry.page
+
+      option.append(title, page)
+      this.list.appendChild(option)
+    })
+  }
+
+  setActive(index) {
+    const options = this.list.querySelectorAll('[role="option"]')
+    if (options.length === 0) {
+      this.activeIndex = -1
+      this.input.removeAttribute("aria-activedescendant")
+      return
+    }
+
+    this.activeIndex = (index + options.length) % options.length
+    options.forEach((option, i) => {
+      const isActive = i === this.activeIndex
+      option.setAttribute("aria-selected", String(isActive))
+      option.classList.toggle("active", isActive)
+    })
+
+    const active = options[this.activeIndex]
+    this.input.setAttribute("aria-activedescendant", active.id)
+    active.scrollIntoView({ block: "nearest" })
+  }
+
+  /**
+   * Scroll to a section on this page with the header offset, or load another page
+   */
+  go(entry) {
+    if (!entry) return
+
+    const target = entry.id && this.siteMap.isCurrentPage(entry.url) ? document.getElementById(entry.id) : null
+    if (!target) {
+      this.close({ restoreFocus: false })
+      window.location.href = entry.url
+      return
+    }
+
+    this.close({ restoreFocus: false })
+    if (target.tagName === "DETAILS") target.open = true
+
+    const smoothScrolling = window.FamilyHubApp?.getComponent("smoothScrolling")
+    if (smoothScrolling) {
+      smoothScrolling.scrollToTarget(target)
+    } else {
+      target.scrollIntoView({ behavior: "smooth", block: "start" })
+    }
+
+    if (history.pushState) {
+      history.pushState(null, null, `#${entry.id}`)
+    }
+
+    // Move focus to the section so keyboard and screen-reader users continue from there
+    if (!target.hasAttribute("tabindex")) target.setAttribute("tabindex", "-1")
+    target.focus({ preventScroll: true })
+  }
+}
+
+// ===== 12. ERROR HANDLING =====
 
 /**
  * Error Handler
@@ -899,7 +2183,7 @@ class ErrorHandler {
   }
 }
 
-// ===== 11. INITIALIZATION =====
+// ===== 13. INITIALIZATION =====
 
 /**
  * Application Initializer
@@ -952,7 +2236,17 @@ class FamilyHubApp {
       () => (this.components.headerScrollHandler = new HeaderScrollHandler()),
       () => (this.components.performanceMonitor = new PerformanceMonitor()),
       () => (this.components.accessibilityHandler = new AccessibilityHandler()),
-      () => (this.components.analyticsHandler = new AnalyticsHandler()),
+      () => (this.components.consentManager = new ConsentManager()),
+      () => {
+        const transport = new AnalyticsTransport()
+        this.components.analyticsHandler = new AnalyticsHandler(transport, this.components.consentManager)
+      },
+      () => (this.components.impressionTracker = new ImpressionTracker(this.components.analyticsHandler)),
+      // Exposures for the A/B experiments applied from <head> by experiments.js (landing page only)
+      () => window.FamilyHubExperiments?.trackExposures(this.components.analyticsHandler),
+      // After the analytics handler, so the banner buttons aren't tracked as CTAs
+      () => (this.components.cookieConsent = new CookieConsent(this.components.consentManager)),
+      () => (this.components.commandPalette = new CommandPalette()),
     ]
 
     for (const initializer of componentInitializers) {
@@ -1018,7 +2312,20 @@ if (typeof module !== "undefined" && module.exports) {
     HeaderScrollHandler,
     PerformanceMonitor,
     AccessibilityHandler,
+    ConsentManager,
+    hasCookieConsent,
+    CookieConsent,
+    ConsoleAnalyticsAdapter,
+    JsonAnalyticsAdapter,
+    Ga4AnalyticsAdapter,
+    PlausibleAnalyticsAdapter,
+    createAnalyticsAdapter,
+    AnalyticsSession,
+    AnalyticsTransport,
     AnalyticsHandler,
+    ImpressionTracker,
+    SiteMap,
+    CommandPalette,
     ErrorHandler,
     FamilyHubApp,
   }